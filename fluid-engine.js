@@ -9,1196 +9,5224 @@
  * 
  * Features:
  * - WebGL2 with fallback to WebGL1
- * - Float textures with linear filtering
- * - 8 Color modes
- * - GPU particle system
- * - Automatic quality adjustment
+ * - Float render target ladder (RGBA32F, RGBA16F, half-float ext, packed RGBA8)
+ * - Canvas 2D CPU fallback when WebGL is unavailable (DaemonFluidEngine.create)
+ * - Data-driven color palettes (8 built in, more via registerPalette)
+ * - GPU particle system (lifetimes, emitters, speed/dye coloring, streaks)
+ * - Multi-touch / Pointer Events input
+ * - Adaptive quality governor (frame-time percentile vs. target FPS, steps down and back up)
+ * - Lifecycle control (pause / resume / destroy, external tick mode)
+ * - Programmatic splats and persistent force fields
+ * - Obstacle masks (image, canvas, DOM rects, SVG) with free/no-slip walls
+ * - Vorticity confinement
+ * - Jacobi or multigrid (V-cycle) pressure solver
+ * - Frame capture, WebM recording and offline image-sequence export
+ * - Deterministic fixed-timestep mode with seeded initialization
+ * - Input recording and replay
+ * - Post-processing: bloom, sunrays, tone mapping, dithering, custom passes
+ * - Colored dye: fixed or rainbow pointer colors, per-splat colors, seeding from images
+ * - Transparent overlay mode (premultiplied alpha, background color/image, pointer passthrough)
+ * - Events (fps, frame, qualitychange, contextlost) and before/after hooks for plugins
+ * - WebGL context loss handling: GPU resources are rebuilt on restore, settings kept
+ * - Declarative settings schema with validation, JSON/URL serialization and named presets
+ * - Optional Web Worker rendering on an OffscreenCanvas (fluid-worker.js)
  */
 
-class DaemonFluidEngine {
-    constructor(canvasId, options = {}) {
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) throw new Error(`Canvas "${canvasId}" not found`);
+/**
+ * Renderer-independent half of the engine: settings schema, validation and presets, palettes,
+ * events and plugins, pointer input and its recording/replay, capture and the frame loop.
+ *
+ * DaemonFluidEngine (WebGL), DaemonFluidCanvasFallback (Canvas 2D) and DaemonFluidWorkerProxy
+ * (main-thread handle for a worker engine) extend it and supply the rendering side: _resize,
+ * _step, _render, _updateStats, updateSettings, destroy and friends. Not meant to be
+ * constructed on its own.
+ */
+class DaemonFluidBase {
+    // Every setting with its type, range and default. Constructor options and updateSettings()
+    // are validated against it (numbers are clamped, anything else malformed throws), settings
+    // panels are generated from it (label/group/step; ui: false = code only) and presets and
+    // URLs serialize through it.
+    static SETTINGS_SCHEMA = {
+        // Performance
+        quality: { type: 'integer', default: 2, min: 0, max: 4, step: 1, group: 'Performance', label: 'Quality Preset',
+            labels: ['Ultra Low', 'Low', 'Medium', 'High', 'Ultra High'] },
+        solverIterations: { type: 'integer', default: 20, min: 4, max: 40, step: 2, group: 'Performance', label: 'Solver Iterations' },
+        solver: { type: 'enum', default: 'jacobi', options: ['jacobi', 'multigrid'], group: 'Performance', label: 'Pressure Solver' },
+        multigridCycles: { type: 'integer', default: 1, min: 1, max: 4, step: 1, group: 'Performance', label: 'V-Cycles' },
+        autoQuality: { type: 'boolean', default: true, group: 'Performance', label: 'Adaptive Quality' },
+        targetFps: { type: 'integer', default: 60, min: 20, max: 240, step: 5, group: 'Performance', label: 'Target FPS' },
+        // Highest preset level the governor may climb to when there is headroom
+        maxQuality: { type: 'integer', default: 4, min: 0, max: 4, step: 1, group: 'Performance', label: 'Max Auto Quality',
+            labels: ['Ultra Low', 'Low', 'Medium', 'High', 'Ultra High'] },
+
+        // Fluid
+        forceRadius: { type: 'number', default: 0.018, min: 0.005, max: 0.05, step: 0.003, group: 'Fluid', label: 'Force Radius' },
+        vorticity: { type: 'number', default: 0, min: 0, max: 50, step: 1, group: 'Fluid', label: 'Vorticity' },
+        velocityDissipation: { type: 'number', default: 0.999, min: 0.9, max: 1, step: 0.001, group: 'Fluid', label: 'Velocity Retention' },
+        boundary: { type: 'enum', default: 'free-slip', options: ['free-slip', 'no-slip'], group: 'Fluid', label: 'Walls' },
+        cellSize: { type: 'number', default: 32, min: 1, max: 256, group: 'Performance', ui: false },
+
+        // Dye
+        dyeIntensity: { type: 'number', default: 1.2, min: 0.3, max: 3, step: 0.1, group: 'Dye', label: 'Dye Intensity' },
+        dyeDecay: { type: 'number', default: 0.98, min: 0.9, max: 0.995, step: 0.005, group: 'Dye', label: 'Dye Decay' },
+        // Palette index or name
+        colorMode: { type: 'palette', default: 0, ui: false },
+        // 'palette' (by pointer speed), 'rainbow' (hue cycles over time) or any CSS color
+        dyeColor: { type: 'string', default: 'palette', ui: false },
+        rainbowSpeed: { type: 'number', default: 0.1, min: 0, max: 2, step: 0.05, group: 'Dye', label: 'Rainbow Speed' },
+
+        // Particles
+        particles: { type: 'boolean', default: true, group: 'Particles', label: 'Particles' },
+        particleSpeed: { type: 'number', default: 1, min: 0.5, max: 2, step: 0.1, group: 'Particles', label: 'Particle Speed' },
+        particleSize: { type: 'number', default: 1, min: 1, max: 8, step: 0.5, group: 'Particles', label: 'Particle Size' },
+        particleSizeAttenuation: { type: 'number', default: 0, min: 0, max: 1, step: 0.05, group: 'Particles', label: 'Size Attenuation' },
+        particleColor: { type: 'enum', default: 'fixed', options: ['fixed', 'speed', 'dye'], group: 'Particles', label: 'Particle Color' },
+        particleLifetime: { type: 'number', default: 0, min: 0, max: 20, step: 0.5, group: 'Particles', label: 'Lifetime (0 = forever)' },
+        particleSpawn: { type: 'enum', default: 'random', options: ['random', 'pointer', 'emitters'], group: 'Particles', label: 'Respawn At' },
+        // [{ x, y, radius }] normalized to the canvas
+        particleEmitters: { type: 'array', default: [], ui: false },
+        particleStreaks: { type: 'boolean', default: false, group: 'Particles', label: 'Streaks' },
+        particleStreakLength: { type: 'number', default: 0.03, min: 0, max: 0.2, step: 0.005, group: 'Particles', label: 'Streak Length' },
+
+        // Post-processing (all off by default)
+        bloom: { type: 'boolean', default: false, group: 'Post-processing', label: 'Bloom' },
+        bloomIntensity: { type: 'number', default: 0.8, min: 0, max: 3, step: 0.1, group: 'Post-processing', label: 'Bloom Intensity' },
+        bloomThreshold: { type: 'number', default: 0.6, min: 0, max: 1, step: 0.05, group: 'Post-processing', label: 'Bloom Threshold' },
+        bloomSoftKnee: { type: 'number', default: 0.7, min: 0, max: 1, step: 0.05, group: 'Post-processing', label: 'Bloom Soft Knee' },
+        bloomIterations: { type: 'integer', default: 6, min: 1, max: 8, step: 1, group: 'Post-processing', label: 'Bloom Iterations' },
+        sunrays: { type: 'boolean', default: false, group: 'Post-processing', label: 'Sunrays' },
+        sunraysWeight: { type: 'number', default: 0.6, min: 0, max: 1, step: 0.05, group: 'Post-processing', label: 'Sunrays Weight' },
+        sunraysOrigin: { type: 'array', default: [0.5, 0.5], length: 2, ui: false },
+        toneMapping: { type: 'enum', default: 'none', options: ['none', 'aces', 'filmic'], group: 'Post-processing', label: 'Tone Mapping' },
+        exposure: { type: 'number', default: 1, min: 0.1, max: 4, step: 0.1, group: 'Post-processing', label: 'Exposure' },
+        dithering: { type: 'boolean', default: false, group: 'Post-processing', label: 'Dithering' },
+
+        // Any CSS color; null = transparent in overlay mode, black otherwise
+        background: { type: 'string', default: null, group: 'Appearance', ui: false },
+    };
+
+    // Settings that belong to the page rather than a look: presets neither store nor reset them
+    static PAGE_GROUPS = ['Performance', 'Appearance'];
+
+    // Built-in named presets; applied over the defaults, page settings (PAGE_GROUPS) are left
+    // alone unless a preset declares them
+    static PRESETS = {
+        Calm: {
+            vorticity: 4, velocityDissipation: 0.995, dyeIntensity: 0.8, dyeDecay: 0.99, forceRadius: 0.03,
+            particleSpeed: 0.6, colorMode: 'Ocean', bloom: true, bloomIntensity: 0.5, toneMapping: 'filmic',
+        },
+        Storm: {
+            vorticity: 45, velocityDissipation: 1, dyeIntensity: 2, dyeDecay: 0.96, forceRadius: 0.012,
+            particleSpeed: 2, particleStreaks: true, colorMode: 'Neon', bloom: true, bloomIntensity: 1.2, sunrays: true,
+        },
+        Ink: {
+            vorticity: 10, dyeIntensity: 2.5, dyeDecay: 0.995, forceRadius: 0.024, particles: false,
+            colorMode: 'Cosmic', toneMapping: 'aces', dithering: true,
+        },
+    };
+
+    // Fresh copy of the schema defaults
+    static defaultSettings() {
+        const out = {};
+        for (const [key, spec] of Object.entries(DaemonFluidBase.SETTINGS_SCHEMA)) {
+            out[key] = Array.isArray(spec.default) ? structuredClone(spec.default) : spec.default;
+        }
+        return out;
+    }
 
-        // Try WebGL2, fallback to WebGL1
-        this.gl = this.canvas.getContext('webgl2', {
-            alpha: false,
-            depth: false,
-            stencil: false,
-            antialias: false,
-            preserveDrawingBuffer: false,
-            powerPreference: 'high-performance',
-        });
+    // Settings: schema defaults, overridden by any matching (validated) options
+    constructor(options = {}) {
+        this.settings = DaemonFluidBase.defaultSettings();
+        for (const key of Object.keys(DaemonFluidBase.SETTINGS_SCHEMA)) {
+            if (options[key] != null) this.settings[key] = this._validateSetting(key, options[key]);
+        }
+        this.userPresets = this._loadUserPresets();
 
-        this.isWebGL2 = !!this.gl;
+        // Max simultaneous pointers (compiled into the force/dye shaders)
+        this.maxPointers = Math.max(1, Math.min(16, options.maxPointers ?? 10));
+    }
 
-        if (!this.gl) {
-            this.gl = this.canvas.getContext('webgl', {
-                alpha: false,
-                depth: false,
-                stencil: false,
-                antialias: false,
-                preserveDrawingBuffer: false,
-            });
+    // ========== PALETTES ==========
+
+    // Built-in palettes, matching the original GLSL color functions
+    _getBuiltinPalettes() {
+        const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+        const add = (a, b, k) => a.map((v, i) => v + b[i] * k);
+
+        return {
+            Plasma: x => add(mix([0.134, 0.0, 0.117], [0.0, 0.478, 1.0], x), [0.631, 0.925, 1.0], Math.pow(x, 9) * 0.1),
+            Ocean: x => add(mix([0.0, 0.02, 0.1], [0.0, 0.5, 0.7], x), [0.7, 1.0, 1.0], Math.pow(x, 5) * 0.25),
+            Fire: x => add(mix([0.15, 0.0, 0.0], [1.0, 0.35, 0.0], x), [1.0, 1.0, 0.4], Math.pow(x, 3) * 0.35),
+            Neon: x => add(mix([0.4, 0.0, 0.5], [0.0, 1.0, 0.4], x), [1.0, 1.0, 1.0], Math.pow(x, 7) * 0.2),
+            Aurora: x => add(mix(mix([0.1, 0.0, 0.2], [0.0, 0.8, 0.4], x), [0.3, 1.0, 0.9], x * x), [0.8, 1.0, 0.9], Math.pow(x, 6) * 0.15),
+            Sunset: x => add(mix(mix([0.15, 0.0, 0.1], [0.9, 0.3, 0.1], x), [1.0, 0.8, 0.3], x * x), [1.0, 0.9, 0.7], Math.pow(x, 4) * 0.2),
+            Cosmic: x => add(mix(mix([0.05, 0.0, 0.15], [0.5, 0.1, 0.7], x), [0.9, 0.6, 1.0], x * x), [1.0, 0.8, 1.0], Math.pow(x, 5) * 0.25),
+            Matrix: x => add([0.0, x * 0.8, 0.0], [0.2, 1.0, 0.3], Math.pow(x, 4) * 0.4),
+        };
+    }
+
+    _addPalette(name, sample) {
+        const idx = this.palettes.findIndex(p => p.name === name);
+        if (idx !== -1) {
+            this.palettes[idx].sample = sample;
+            return idx;
         }
+        this.palettes.push({ name, sample });
+        this.colorModeNames.push(name);
+        return this.palettes.length - 1;
+    }
 
-        if (!this.gl) throw new Error('WebGL not supported');
+    // Stops: ['#hex', ...] evenly spaced, [{ pos, color }, ...] with color as hex or [r, g, b]
+    // (0..2, values above 1 glow), or a function x => [r, g, b]
+    _paletteSampler(stops) {
+        if (typeof stops === 'function') return stops;
+        if (!Array.isArray(stops) || stops.length === 0) {
+            throw new Error('Palette needs at least one color stop');
+        }
 
-        console.log(`🌊 DAEMON Fluid Engine: ${this.isWebGL2 ? 'WebGL2' : 'WebGL1'}`);
+        const toRGB = c => {
+            if (Array.isArray(c)) return c;
+            const hex = String(c).replace('#', '');
+            const full = hex.length === 3 ? hex.split('').map(h => h + h).join('') : hex;
+            // parseInt alone would read "12zzzz" as 0x12
+            if (!/^[0-9a-f]{6}$/i.test(full)) throw new Error(`Invalid palette color "${c}"`);
+            const n = parseInt(full, 16);
+            return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+        };
 
-        // Extensions
-        this._initExtensions();
+        const toPos = stop => {
+            if (!Number.isFinite(stop.pos)) throw new Error(`Invalid palette stop position "${stop.pos}"`);
+            return stop.pos;
+        };
 
-        // Settings with defaults
-        this.settings = {
-            quality: options.quality ?? 2,
-            solverIterations: options.solverIterations ?? 20,
-            dyeIntensity: options.dyeIntensity ?? 1.2,
-            forceRadius: options.forceRadius ?? 0.018,
-            colorMode: options.colorMode ?? 0,
-            cellSize: 32,
-            particleSpeed: options.particleSpeed ?? 1.0,
-            dyeDecay: options.dyeDecay ?? 0.98,
-            velocityDissipation: options.velocityDissipation ?? 0.999,
+        const points = stops
+            .map((stop, i) => (stop && typeof stop === 'object' && !Array.isArray(stop))
+                ? { pos: toPos(stop), color: toRGB(stop.color) }
+                : { pos: stops.length === 1 ? 0 : i / (stops.length - 1), color: toRGB(stop) })
+            .sort((a, b) => a.pos - b.pos);
+
+        return x => {
+            if (x <= points[0].pos) return points[0].color;
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                if (x <= b.pos) {
+                    const t = (x - a.pos) / Math.max(b.pos - a.pos, 1e-6);
+                    return a.color.map((v, c) => v + (b.color[c] - v) * t);
+                }
+            }
+            return points[points.length - 1].color;
         };
+    }
 
-        // Quality presets (optimized)
-        this.qualityPresets = [
-            { particles: 16384, scale: 1 / 8, iterations: 10 }, // Ultra Low
-            { particles: 65536, scale: 1 / 6, iterations: 14 }, // Low
-            { particles: 262144, scale: 1 / 4, iterations: 20 }, // Medium
-            { particles: 524288, scale: 1 / 3, iterations: 25 }, // High
-            { particles: 1048576, scale: 1 / 2, iterations: 32 }, // Ultra High
-        ];
+    _resolveColorMode(mode) {
+        if (typeof mode === 'string') {
+            const idx = this.palettes.findIndex(p => p.name.toLowerCase() === mode.toLowerCase());
+            if (idx === -1) throw new Error(`Unknown palette "${mode}"`);
+            return idx;
+        }
+        return Math.max(0, Math.min(this.palettes.length - 1, Math.round(mode) || 0));
+    }
 
-        // Color mode names (8 modes)
-        this.colorModeNames = [
-            'Plasma', 'Ocean', 'Fire', 'Neon',
-            'Aurora', 'Sunset', 'Cosmic', 'Matrix'
-        ];
+    // ========== EVENTS ==========
 
-        // State
-        this.simWidth = 0;
-        this.simHeight = 0;
-        this.aspectRatio = 1;
+    _listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    _initEventListeners() {
+        this._listen(this.canvas, 'webglcontextlost', e => this._onContextLost(e));
+        this._listen(this.canvas, 'webglcontextrestored', () => this._onContextRestored());
+
+        // In a worker the page forwards input, resizes and visibility (see DaemonFluidWorkerProxy)
+        if (typeof document === 'undefined') return;
+
+        this._listen(window, 'resize', () => this._resize());
+        this._listen(document, 'visibilitychange', () => this._onVisibilityChange());
+
+        if (this.passthrough) {
+            this._initPassthroughListeners();
+            return;
+        }
+
+        if (window.PointerEvent) {
+            // Pointer Events: mouse, pen and touch share one path, one entry per pointerId
+            this._listen(this.canvas, 'pointerdown', e => {
+                const { x, y } = this._clientToClip(e.clientX, e.clientY);
+                if (!this._pointerDown(e.pointerId, x, y)) return;
+                if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+            });
+            this._listen(this.canvas, 'pointermove', e => {
+                const { x, y } = this._clientToClip(e.clientX, e.clientY);
+                this._pointerMove(e.pointerId, x, y, e.pointerType === 'mouse');
+            });
+            // A mouse keeps hovering after release; touch and pen contacts end
+            const release = e => this._pointerUp(e.pointerId, e.pointerType === 'mouse');
+            this._listen(window, 'pointerup', release);
+            this._listen(window, 'pointercancel', release);
+            return;
+        }
 
         // Mouse
-        this.pointer = { x: 0, y: 0, dx: 0, dy: 0, isDown: false, moved: false };
-        this.lastPointer = { x: 0, y: 0 };
+        this._listen(this.canvas, 'mousedown', e => {
+            const { x, y } = this._clientToClip(e.clientX, e.clientY);
+            this._pointerDown('mouse', x, y);
+        });
+        this._listen(window, 'mouseup', () => this._pointerUp('mouse', true));
+        this._listen(this.canvas, 'mousemove', e => {
+            const { x, y } = this._clientToClip(e.clientX, e.clientY);
+            this._pointerMove('mouse', x, y, true);
+        });
 
-        // Multi-touch support
-        this.pointers = [];
+        // Touch
+        this._listen(this.canvas, 'touchstart', e => {
+            e.preventDefault();
+            for (const t of e.changedTouches) {
+                const { x, y } = this._clientToClip(t.clientX, t.clientY);
+                this._pointerDown(t.identifier, x, y);
+            }
+        }, { passive: false });
+        this._listen(this.canvas, 'touchmove', e => {
+            e.preventDefault();
+            this._updateTouch(e);
+        }, { passive: false });
+        const endTouch = e => {
+            for (const t of e.changedTouches) this._pointerUp(t.identifier, false);
+        };
+        this._listen(this.canvas, 'touchend', endTouch);
+        this._listen(this.canvas, 'touchcancel', endTouch);
+    }
 
-        // Performance
-        this.frameCount = 0;
-        this.lastFpsTime = performance.now();
-        this.currentFps = 60;
-        this.lastFrameTime = performance.now();
-        this.autoQualityEnabled = options.autoQuality !== false;
-        this.lowFpsCount = 0;
+    // The page keeps its clicks and scrolling: a hovering mouse stirs the fluid, touches are
+    // tracked passively, nothing is captured or prevented
+    _initPassthroughListeners() {
+        const move = e => {
+            const { x, y } = this._clientToClip(e.clientX, e.clientY);
+            const p = this._getPointer(e.pointerId, false);
+            if (p && p.isDown) this._pointerMove(e.pointerId, x, y);
+            else if (e.pointerType === 'mouse' || e.type === 'pointerdown') this._pointerDown(e.pointerId, x, y);
+        };
+        this._listen(window, 'pointerdown', move, { passive: true });
+        this._listen(window, 'pointermove', move, { passive: true });
 
-        // Initialize
-        this._initShaders();
-        this._initBuffers();
-        this._initFramebuffers();
-        this._initEventListeners();
-        this._resize();
+        const release = e => {
+            if (e.pointerType !== 'mouse') this._pointerUp(e.pointerId, false);
+        };
+        this._listen(window, 'pointerup', release);
+        this._listen(window, 'pointercancel', release);
+        // Mouse left the window: stop stirring until it comes back
+        this._listen(document, 'pointerout', e => {
+            if (!e.relatedTarget && e.pointerType === 'mouse') this._pointerUp(e.pointerId, true);
+        });
+    }
 
-        // Start
-        this._animate();
+    _getPointer(id, create) {
+        let p = this.pointers.find(p => p.id === id);
+        if (!p && create && this.pointers.length < this.maxPointers) {
+            p = { id, x: 0, y: 0, lastX: 0, lastY: 0, dx: 0, dy: 0, isDown: false, moved: false };
+            this.pointers.push(p);
+        }
+        return p || null;
     }
 
-    // ========== EXTENSIONS ==========
+    _removePointer(id) {
+        const idx = this.pointers.findIndex(p => p.id === id);
+        if (idx !== -1) this.pointers.splice(idx, 1);
+    }
 
-    _initExtensions() {
-        const gl = this.gl;
+    _clientToClip(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: ((clientX - rect.left) / rect.width) * 2 - 1,
+            y: -((clientY - rect.top) / rect.height) * 2 + 1,
+        };
+    }
 
-        if (this.isWebGL2) {
-            // WebGL2 - float textures built-in
-            this.floatTexSupport = true;
-            this.floatLinearSupport = !!gl.getExtension('EXT_color_buffer_float');
-            gl.getExtension('EXT_color_buffer_float');
-        } else {
-            // WebGL1 - need extensions
-            this.floatTexSupport = !!gl.getExtension('OES_texture_float');
-            this.floatLinearSupport = !!gl.getExtension('OES_texture_float_linear');
-            this.halfFloatExt = gl.getExtension('OES_texture_half_float');
-            gl.getExtension('OES_texture_half_float_linear');
+    // Pointer input in clip space; DOM events and input replay both come through here
+    _pointerDown(id, x, y) {
+        const p = this._getPointer(id, true);
+        if (!p) return null;
+        p.x = p.lastX = x;
+        p.y = p.lastY = y;
+        p.dx = p.dy = 0;
+        p.isDown = true;
+        this._recordInput('d', id, x, y);
+        return p;
+    }
+
+    _pointerMove(id, x, y, hover = false) {
+        const p = this._getPointer(id, hover);
+        if (!p) return;
+        p.moved = true;
+        this._updatePointer(p, x, y);
+        if (p.isDown) this._recordInput('m', id, x, y);
+    }
+
+    _pointerUp(id, keep) {
+        const p = this._getPointer(id, false);
+        if (!p) return;
+        if (p.isDown) this._recordInput('u', id);
+        if (keep) p.isDown = false;
+        else this._removePointer(id);
+    }
+
+    _updatePointer(p, x, y) {
+        p.x = x;
+        p.y = y;
+        p.dx = p.x - p.lastX;
+        p.dy = p.y - p.lastY;
+    }
+
+    _updateTouch(e) {
+        for (const t of e.changedTouches) {
+            const { x, y } = this._clientToClip(t.clientX, t.clientY);
+            this._pointerMove(t.identifier, x, y);
         }
     }
 
-    // ========== SHADERS ==========
+    _getViewportSize() {
+        return this.viewport ?? { width: window.innerWidth, height: window.innerHeight };
+    }
 
-    _getShaderHeader() {
-        if (this.isWebGL2) {
-            return `#version 300 es
-precision highp float;
-precision highp sampler2D;
-`;
+    // ========== INPUT RECORDING ==========
+
+    // Format: { version, duration (ms), events: [[t, type, ...args]] } with t in simulation ms.
+    // 'd' id x y / 'm' id x y / 'u' id (clip space), 's' x y dx dy color radius (splat() args)
+    _recordInput(type, ...args) {
+        const rec = this.inputRecording;
+        if (!rec) return;
+
+        // Compact ids: real pointer ids can be large and are meaningless on replay
+        if (type === 'd' || type === 'm' || type === 'u') {
+            if (!rec.ids.has(args[0])) rec.ids.set(args[0], rec.ids.size);
+            args[0] = rec.ids.get(args[0]);
         }
-        return `precision highp float;
-`;
+        const round = v => typeof v === 'number' ? Math.round(v * 10000) / 10000 : v;
+        const t = Math.round((this.simTime - rec.start) * 1000);
+        rec.events.push([t, type, ...args.map(round)]);
     }
 
-    _getVertexSource() {
-        if (this.isWebGL2) {
-            return `#version 300 es
-in vec2 a_position;
-out vec2 v_texCoord;
-out vec2 v_simPos;
-uniform float u_aspectRatio;
+    // Feed every replay event that is due before the next step
+    _processReplay() {
+        const replay = this.inputReplay;
+        if (!replay) return;
+
+        const { events, duration } = replay.data;
+        const now = (this.simTime - replay.start) * 1000 * replay.speed;
+
+        while (replay.cursor < events.length && events[replay.cursor][0] <= now) {
+            const [, type, ...args] = events[replay.cursor++];
+            const id = typeof args[0] === 'number' ? `replay:${args[0]}` : null;
+            if (type === 'd') this._pointerDown(id, args[1], args[2]);
+            else if (type === 'm') this._pointerMove(id, args[1], args[2]);
+            else if (type === 'u') this._pointerUp(id, false);
+            else if (type === 's') {
+                const [x, y, dx, dy, color, radius] = args;
+                this.splatQueue.push({ x, y, dx, dy, color: color ?? null, radius: radius ?? undefined });
+            }
+        }
 
-void main() {
-    v_texCoord = a_position;
-    vec2 clipSpace = a_position * 2.0 - 1.0;
-    v_simPos = vec2(clipSpace.x * u_aspectRatio, clipSpace.y);
-    gl_Position = vec4(clipSpace, 0.0, 1.0);
-}`;
+        if (replay.cursor >= events.length && now >= duration) {
+            this._releaseReplayPointers();
+            if (replay.loop) {
+                replay.start = this.simTime;
+                replay.cursor = 0;
+            } else {
+                this.inputReplay = null;
+                if (replay.onEnd) replay.onEnd();
+            }
         }
-        return `
-attribute vec2 a_position;
-varying vec2 v_texCoord;
-varying vec2 v_simPos;
-uniform float u_aspectRatio;
+    }
 
-void main() {
-    v_texCoord = a_position;
-    vec2 clipSpace = a_position * 2.0 - 1.0;
-    v_simPos = vec2(clipSpace.x * u_aspectRatio, clipSpace.y);
-    gl_Position = vec4(clipSpace, 0.0, 1.0);
-}`;
+    _releaseReplayPointers() {
+        this.pointers = this.pointers.filter(p => !String(p.id).startsWith('replay:'));
     }
 
-    _getAdvectSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-in vec2 v_simPos;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-varying vec2 v_simPos;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    // ========== OBSTACLES ==========
 
-        return `${prefix}
-uniform sampler2D u_velocity;
-uniform sampler2D u_target;
-uniform float u_dt;
-uniform float u_rdx;
-uniform vec2 u_invRes;
-uniform float u_aspectRatio;
-uniform float u_dissipation;
+    _isImageSource(source) {
+        return ['HTMLImageElement', 'HTMLCanvasElement', 'HTMLVideoElement', 'ImageBitmap', 'OffscreenCanvas']
+            .some(type => this._isDomSource(source, type));
+    }
 
-vec2 simToTexel(vec2 simPos) {
-    return vec2(simPos.x / u_aspectRatio + 1.0, simPos.y + 1.0) * 0.5;
-}
+    // instanceof against a global that a worker may not have
+    _isDomSource(source, type) {
+        return typeof self[type] === 'function' && source instanceof self[type];
+    }
 
-void main() {
-    vec2 vel = texture2D(u_velocity, v_texCoord).xy;
-    vec2 tracedPos = v_simPos - u_dt * u_rdx * vel;
-    vec2 texelPos = simToTexel(tracedPos) / u_invRes;
-    
-    vec2 st = floor(texelPos - 0.5) + 0.5;
-    vec2 t = texelPos - st;
-    st *= u_invRes;
-    vec2 st2 = st + u_invRes;
-    
-    vec4 t11 = texture2D(u_target, st);
-    vec4 t21 = texture2D(u_target, vec2(st2.x, st.y));
-    vec4 t12 = texture2D(u_target, vec2(st.x, st2.y));
-    vec4 t22 = texture2D(u_target, st2);
-    
-    ${suffix} = mix(mix(t11, t21, t.x), mix(t12, t22, t.x), t.y) * u_dissipation;
-}`;
+    _expandObstacleSources(sources) {
+        const out = [];
+        for (const source of sources) {
+            if (!source) continue;
+            if (typeof source === 'string') out.push(...document.querySelectorAll(source));
+            else if (this._isDomSource(source, 'NodeList') || Array.isArray(source)) out.push(...source);
+            else out.push(source);
+        }
+        return out;
     }
 
-    _getDivergenceSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    _loadSvgImage(svg) {
+        const markup = new XMLSerializer().serializeToString(svg);
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                console.warn('Obstacle SVG could not be rasterized');
+                resolve(null);
+            };
+            img.src = url;
+        });
+    }
 
-        return `${prefix}
-uniform sampler2D u_velocity;
-uniform float u_halfRdx;
-uniform vec2 u_invRes;
+    // ========== SIMULATION ==========
 
-vec2 sampleVel(vec2 coord) {
-    vec2 offset = vec2(0.0);
-    vec2 mult = vec2(1.0);
-    if (coord.x < 0.0) { offset.x = 1.0; mult.x = -1.0; }
-    else if (coord.x > 1.0) { offset.x = -1.0; mult.x = -1.0; }
-    if (coord.y < 0.0) { offset.y = 1.0; mult.y = -1.0; }
-    else if (coord.y > 1.0) { offset.y = -1.0; mult.y = -1.0; }
-    return mult * texture2D(u_velocity, coord + offset * u_invRes).xy;
-}
+    // Run one solver step, or as many fixed substeps as the accumulated time allows
+    _advance(dt) {
+        if (!this.fixedTimestep) {
+            this._step(Math.min(dt, 0.02));
+            return;
+        }
 
-void main() {
-    vec2 L = sampleVel(v_texCoord - vec2(u_invRes.x, 0.0));
-    vec2 R = sampleVel(v_texCoord + vec2(u_invRes.x, 0.0));
-    vec2 B = sampleVel(v_texCoord - vec2(0.0, u_invRes.y));
-    vec2 T = sampleVel(v_texCoord + vec2(0.0, u_invRes.y));
-    ${suffix} = vec4(u_halfRdx * ((R.x - L.x) + (T.y - B.y)), 0.0, 0.0, 1.0);
-}`;
+        // Drop time beyond maxSubsteps rather than spiral when the GPU falls behind
+        const h = this.fixedTimestep;
+        this.accumulator = Math.min(this.accumulator + dt, h * this.maxSubsteps);
+        let substep = 0;
+        while (this.accumulator >= h) {
+            // Pointer segments belong to the whole frame: apply them on the first substep only
+            this._step(h, substep === 0);
+            this.accumulator -= h;
+            substep++;
+        }
     }
 
-    _getPressureSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    // 'rainbow' -> hue from sim time (pointers offset from each other), CSS string or [r, g, b]
+    _resolveDyeColor(color, index) {
+        if (Array.isArray(color)) return color;
+        if (color === 'rainbow') {
+            const h = (this.simTime * this.settings.rainbowSpeed + index * 0.13) % 1;
+            const f = n => {
+                const k = (n + h * 6) % 6;
+                return 1 - Math.max(0, Math.min(k, 4 - k, 1));
+            };
+            return [f(5), f(3), f(1)];
+        }
+        return this._parseCSSColor(color).slice(0, 3);
+    }
 
-        return `${prefix}
-uniform sampler2D u_pressure;
-uniform sampler2D u_divergence;
-uniform float u_alpha;
-uniform vec2 u_invRes;
+    // ========== RENDER ==========
 
-float sampleP(vec2 coord) {
-    vec2 offset = vec2(0.0);
-    if (coord.x < 0.0) offset.x = 1.0;
-    else if (coord.x > 1.0) offset.x = -1.0;
-    if (coord.y < 0.0) offset.y = 1.0;
-    else if (coord.y > 1.0) offset.y = -1.0;
-    return texture2D(u_pressure, coord + offset * u_invRes).x;
-}
+    // Cached until the setting changes
+    _getBackgroundColor() {
+        const css = this.settings.background;
+        if (this.backgroundColor && css === this.backgroundColorSource) return this.backgroundColor;
+
+        // An opaque canvas has no alpha to show through, so alpha only matters in transparent mode
+        const [r, g, b, a] = this._parseCSSColor(css || 'transparent');
+        this.backgroundColor = a === 0 ? [0, 0, 0, this.transparent ? 0 : 1]
+            : [r, g, b, this.transparent ? a : 1];
+        this.backgroundColorSource = css;
+        return this.backgroundColor;
+    }
 
-void main() {
-    float L = sampleP(v_texCoord - vec2(u_invRes.x, 0.0));
-    float R = sampleP(v_texCoord + vec2(u_invRes.x, 0.0));
-    float B = sampleP(v_texCoord - vec2(0.0, u_invRes.y));
-    float T = sampleP(v_texCoord + vec2(0.0, u_invRes.y));
-    float div = texture2D(u_divergence, v_texCoord).x;
-    ${suffix} = vec4((L + R + B + T + u_alpha * div) * 0.25, 0.0, 0.0, 1.0);
-}`;
+    // Any CSS color -> [r, g, b, a] in 0..1, parsed by drawing it into a 1x1 canvas
+    _parseCSSColor(css) {
+        const cached = this.parsedColors.get(css);
+        if (cached) return cached;
+
+        if (!this.colorParseCtx) {
+            this.colorParseCtx = this._createCanvas(1, 1).getContext('2d', { willReadFrequently: true });
+        }
+        const ctx = this.colorParseCtx;
+        ctx.clearRect(0, 0, 1, 1);
+        // Invalid colors leave fillStyle unchanged, so they come out transparent
+        ctx.fillStyle = 'transparent';
+        ctx.fillStyle = css;
+        ctx.fillRect(0, 0, 1, 1);
+        const rgba = Array.from(ctx.getImageData(0, 0, 1, 1).data, v => v / 255);
+        if (this.parsedColors.size > 64) this.parsedColors.clear();
+        this.parsedColors.set(css, rgba);
+        return rgba;
     }
 
-    _getGradientSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    // ========== ANIMATION ==========
 
-        return `${prefix}
-uniform sampler2D u_pressure;
-uniform sampler2D u_velocity;
-uniform float u_halfRdx;
-uniform vec2 u_invRes;
+    _animate() {
+        const now = performance.now();
+        const dt = (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
 
-float sampleP(vec2 coord) {
-    vec2 offset = vec2(0.0);
-    if (coord.x < 0.0) offset.x = 1.0;
-    else if (coord.x > 1.0) offset.x = -1.0;
-    if (coord.y < 0.0) offset.y = 1.0;
-    else if (coord.y > 1.0) offset.y = -1.0;
-    return texture2D(u_pressure, coord + offset * u_invRes).x;
-}
+        this.step(dt);
+        this.render();
 
-void main() {
-    float L = sampleP(v_texCoord - vec2(u_invRes.x, 0.0));
-    float R = sampleP(v_texCoord + vec2(u_invRes.x, 0.0));
-    float B = sampleP(v_texCoord - vec2(0.0, u_invRes.y));
-    float T = sampleP(v_texCoord + vec2(0.0, u_invRes.y));
-    vec2 vel = texture2D(u_velocity, v_texCoord).xy;
-    ${suffix} = vec4(vel - u_halfRdx * vec2(R - L, T - B), 0.0, 1.0);
-}`;
+        this.rafId = requestAnimationFrame(() => this._animate());
     }
 
-    _getForceSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-in vec2 v_simPos;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-varying vec2 v_simPos;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    _hasHandlers(type) {
+        const handlers = this.eventHandlers.get(type);
+        return !!handlers && handlers.size > 0;
+    }
 
-        return `${prefix}
-uniform sampler2D u_velocity;
-uniform float u_dt;
-uniform float u_dx;
-uniform vec2 u_pointer;
-uniform vec2 u_lastPointer;
-uniform bool u_isDown;
-uniform float u_radius;
-uniform float u_aspectRatio;
+    _emit(type, detail) {
+        const handlers = this.eventHandlers.get(type);
+        if (!handlers) return;
+        for (const handler of [...handlers]) {
+            // A throwing handler must not stop the animation loop
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error(`Fluid engine "${type}" handler failed:`, e);
+            }
+        }
+    }
 
-vec2 clipToSim(vec2 c) { return vec2(c.x * u_aspectRatio, c.y); }
+    _reseed() {
+        this.rngState = (this.seed ?? Date.now()) >>> 0;
+    }
 
-float distToSeg(vec2 a, vec2 b, vec2 p, out float fp) {
-    vec2 d = p - a;
-    vec2 x = b - a;
-    float lx = length(x);
-    if (lx <= 0.0001) return length(d);
-    float proj = dot(d, x / lx);
-    fp = proj / lx;
-    if (proj < 0.0) return length(d);
-    else if (proj > lx) return length(p - b);
-    return sqrt(abs(dot(d, d) - proj * proj));
-}
+    _onVisibilityChange(hidden = document.hidden) {
+        this.pageHidden = hidden;
+        if (hidden) {
+            if (this.running) {
+                this.pause();
+                this.hiddenPause = true;
+            }
+        } else if (this.hiddenPause) {
+            this.hiddenPause = false;
+            this.resume();
+        }
+    }
 
-void main() {
-    vec2 vel = texture2D(u_velocity, v_texCoord).xy;
-    
-    if (u_isDown) {
-        vec2 ptr = clipToSim(u_pointer);
-        vec2 lastPtr = clipToSim(u_lastPointer);
-        vec2 ptrVel = -(lastPtr - ptr) / max(u_dt, 0.001);
-        
-        float fp;
-        float dist = distToSeg(ptr, lastPtr, v_simPos, fp);
-        float tapering = 1.0 - clamp(fp, 0.0, 1.0) * 0.6;
-        
-        float m = exp(-dist / u_radius);
-        m *= tapering * tapering;
-        
-        vec2 targetVel = ptrVel * u_dx;
-        vel += (targetVel - vel) * m;
+    // ========== CAPTURE ==========
+
+    // The drawing buffer is not preserved, so render and read it in the same task
+    _captureCanvas(width, height) {
+        this._render();
+        if (!width && !height) return this.canvas;
+
+        const src = this.canvas;
+        const w = width || Math.round(height * src.width / src.height);
+        const h = height || Math.round(width * src.height / src.width);
+        const out = this._createCanvas(w, h);
+
+        // Cover-fit: crop the source to the target aspect ratio
+        const scale = Math.max(w / src.width, h / src.height);
+        const sw = w / scale;
+        const sh = h / scale;
+        out.getContext('2d').drawImage(src, (src.width - sw) / 2, (src.height - sh) / 2, sw, sh, 0, 0, w, h);
+        return out;
     }
-    
-    ${suffix} = vec4(vel, 0.0, 1.0);
-}`;
+
+    _canvasToBlob(canvas, type, quality) {
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`)), type, quality);
+        });
     }
 
-    _getDyeSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-in vec2 v_simPos;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-varying vec2 v_simPos;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    // Scratch canvas that also works inside a worker
+    _createCanvas(width, height) {
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
 
-        return `${prefix}
-uniform sampler2D u_dye;
-uniform float u_dt;
-uniform vec2 u_pointer;
-uniform vec2 u_lastPointer;
-uniform bool u_isDown;
-uniform float u_radius;
-uniform float u_aspectRatio;
-uniform float u_intensity;
-uniform int u_colorMode;
-uniform float u_decay;
+    _pickRecorderMimeType(requested) {
+        const candidates = [requested, 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return candidates.find(t => t && MediaRecorder.isTypeSupported(t)) || '';
+    }
 
-vec2 clipToSim(vec2 c) { return vec2(c.x * u_aspectRatio, c.y); }
+    // ========== SETTINGS ==========
 
-float distToSeg(vec2 a, vec2 b, vec2 p, out float fp) {
-    vec2 d = p - a;
-    vec2 x = b - a;
-    float lx = length(x);
-    if (lx <= 0.0001) return length(d);
-    float proj = dot(d, x / lx);
-    fp = proj / lx;
-    if (proj < 0.0) return length(d);
-    else if (proj > lx) return length(p - b);
-    return sqrt(abs(dot(d, d) - proj * proj));
-}
+    // Normalized value for one setting; strings (URL query, form inputs) are coerced
+    _validateSetting(key, value) {
+        const spec = DaemonFluidBase.SETTINGS_SCHEMA[key];
+        if (!spec) throw new Error(`Unknown setting "${key}"`);
 
-// 8 Color palettes
-vec3 plasma(float x) {
-    return mix(vec3(0.134, 0.0, 0.117), vec3(0.0, 0.478, 1.0), x) + vec3(0.631, 0.925, 1.0) * pow(x, 9.0) * 0.1;
-}
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof n !== 'number' || !Number.isFinite(n)) throw new Error(`Setting "${key}" must be a number`);
+                const v = spec.type === 'integer' ? Math.round(n) : n;
+                return Math.max(spec.min ?? -Infinity, Math.min(spec.max ?? Infinity, v));
+            }
+            case 'boolean':
+                if (value === 'true' || value === '1') return true;
+                if (value === 'false' || value === '0') return false;
+                if (typeof value !== 'boolean') throw new Error(`Setting "${key}" must be a boolean`);
+                return value;
+            case 'enum':
+                if (!spec.options.includes(value)) {
+                    throw new Error(`Setting "${key}" must be one of: ${spec.options.join(', ')}`);
+                }
+                return value;
+            case 'palette':
+                if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+                if (typeof value !== 'string' && !Number.isInteger(value)) {
+                    throw new Error(`Setting "${key}" must be a palette index or name`);
+                }
+                return value;
+            case 'array': {
+                const arr = typeof value === 'string' ? JSON.parse(value) : value;
+                if (!Array.isArray(arr) || (spec.length && arr.length !== spec.length)) {
+                    throw new Error(`Setting "${key}" must be an array${spec.length ? ` of ${spec.length}` : ''}`);
+                }
+                return structuredClone(arr);
+            }
+            default:
+                if (value !== null && typeof value !== 'string') throw new Error(`Setting "${key}" must be a string`);
+                return value;
+        }
+    }
 
-vec3 ocean(float x) {
-    return mix(vec3(0.0, 0.02, 0.1), vec3(0.0, 0.5, 0.7), x) + vec3(0.7, 1.0, 1.0) * pow(x, 5.0) * 0.25;
-}
+    _isDefaultSetting(key, value) {
+        const def = DaemonFluidBase.SETTINGS_SCHEMA[key].default;
+        return Array.isArray(def) ? JSON.stringify(def) === JSON.stringify(value) : def === value;
+    }
 
-vec3 fire(float x) {
-    return mix(vec3(0.15, 0.0, 0.0), vec3(1.0, 0.35, 0.0), x) + vec3(1.0, 1.0, 0.4) * pow(x, 3.0) * 0.35;
-}
+    _loadUserPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('daemon-fluid-presets')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
 
-vec3 neon(float x) {
-    return mix(vec3(0.4, 0.0, 0.5), vec3(0.0, 1.0, 0.4), x) + vec3(1.0, 1.0, 1.0) * pow(x, 7.0) * 0.2;
-}
+    _storeUserPresets() {
+        try {
+            localStorage.setItem('daemon-fluid-presets', JSON.stringify(this.userPresets));
+        } catch (e) {
+            // Storage blocked or full: presets still live for this session
+        }
+    }
 
-vec3 aurora(float x) {
-    vec3 c1 = vec3(0.1, 0.0, 0.2);
-    vec3 c2 = vec3(0.0, 0.8, 0.4);
-    vec3 c3 = vec3(0.3, 1.0, 0.9);
-    return mix(mix(c1, c2, x), c3, x * x) + vec3(0.8, 1.0, 0.9) * pow(x, 6.0) * 0.15;
-}
+    // ========== PUBLIC API ==========
 
-vec3 sunset(float x) {
-    vec3 c1 = vec3(0.15, 0.0, 0.1);
-    vec3 c2 = vec3(0.9, 0.3, 0.1);
-    vec3 c3 = vec3(1.0, 0.8, 0.3);
-    return mix(mix(c1, c2, x), c3, x * x) + vec3(1.0, 0.9, 0.7) * pow(x, 4.0) * 0.2;
-}
+    // CSS gradient preview of a palette (for swatches in UI)
+    getPaletteCSS(mode, angle = 135) {
+        const palette = this.palettes[this._resolveColorMode(mode)];
+        const css = x => {
+            const [r, g, b] = palette.sample(x).map(v => Math.round(Math.max(0, Math.min(1, v)) * 255));
+            return `rgb(${r}, ${g}, ${b})`;
+        };
+        return `linear-gradient(${angle}deg, ${css(0)}, ${css(0.5)}, ${css(1)})`;
+    }
 
-vec3 cosmic(float x) {
-    vec3 c1 = vec3(0.05, 0.0, 0.15);
-    vec3 c2 = vec3(0.5, 0.1, 0.7);
-    vec3 c3 = vec3(0.9, 0.6, 1.0);
-    return mix(mix(c1, c2, x), c3, x * x) + vec3(1.0, 0.8, 1.0) * pow(x, 5.0) * 0.25;
-}
+    // Also moves solverIterations to the preset's value
+    setQuality(q) {
+        this.updateSettings({ quality: q });
+    }
 
-vec3 matrix(float x) {
-    return vec3(0.0, x * 0.8, 0.0) + vec3(0.2, 1.0, 0.3) * pow(x, 4.0) * 0.4;
-}
+    // Subscribe to an engine event; returns an unsubscribe function.
+    //   'fps'           { fps, particleCount }, twice a second
+    //   'frame'         { time, step, fps }, after every render()
+    //   'qualitychange' { lever, direction, levels, solverIterations, particleCount,
+    //                     simWidth, simHeight, frameTime, targetFps }
+    //   'contextlost'   {}, the WebGL context is gone; the loop stops until it comes back
+    //   'contextrestored' {}, GPU resources rebuilt with the same settings (fluid starts empty)
+    //   'before:<stage>' / 'after:<stage>' hooks, { stage, dt } for simulation stages
+    //     advect, forces, forceFields, splats, vorticity, divergence, pressure, gradient,
+    //     dye, advectDye, particles; { stage, target } for renderParticles, renderDye,
+    //     postProcess. Hooks that change blending or texture bindings must restore them.
+    on(type, handler) {
+        if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, new Set());
+        this.eventHandlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
 
-vec3 getColor(int mode, float x) {
-    if (mode == 0) return plasma(x);
-    if (mode == 1) return ocean(x);
-    if (mode == 2) return fire(x);
-    if (mode == 3) return neon(x);
-    if (mode == 4) return aurora(x);
-    if (mode == 5) return sunset(x);
-    if (mode == 6) return cosmic(x);
-    return matrix(x);
-}
+    off(type, handler) {
+        const handlers = this.eventHandlers.get(type);
+        if (handlers) handlers.delete(handler);
+    }
 
-void main() {
-    vec4 color = texture2D(u_dye, v_texCoord);
-    color.rgb *= u_decay;
-    
-    if (u_isDown) {
-        vec2 ptr = clipToSim(u_pointer);
-        vec2 lastPtr = clipToSim(u_lastPointer);
-        vec2 ptrVel = -(lastPtr - ptr) / max(u_dt, 0.001);
-        
-        float fp;
-        float dist = distToSeg(ptr, lastPtr, v_simPos, fp);
-        float tapering = 1.0 - clamp(fp, 0.0, 1.0) * 0.6;
-        
-        float R = 0.03;
-        float m = exp(-dist / R);
-        
-        float speed = length(ptrVel);
-        float x = clamp((speed * speed * 0.015 - dist * 4.0) * tapering, 0.0, 1.0);
-        
-        color.rgb += m * getColor(u_colorMode, x) * u_intensity;
+    // Plugin: a function (engine, options) or an object with install(engine, options).
+    // Whatever it returns is returned here; a returned function runs on destroy()
+    use(plugin, options = {}) {
+        const result = typeof plugin === 'function' ? plugin(this, options) : plugin.install(this, options);
+        if (typeof result === 'function') this.pluginDisposers.push(result);
+        return result;
     }
-    
-    ${suffix} = color;
-}`;
+
+    // A failing disposer is reported, not thrown: the rest of destroy() still has to run
+    _disposePlugins() {
+        for (const dispose of this.pluginDisposers) {
+            try {
+                dispose();
+            } catch (e) {
+                console.error('🌊 DAEMON Fluid Engine: plugin cleanup failed:', e);
+                this._emit('error', { message: `Plugin cleanup failed: ${e.message}`, error: e });
+            }
+        }
+        this.pluginDisposers = [];
     }
 
-    _getDisplaySource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+    // Plain copy; changedOnly keeps just the values that differ from the schema defaults
+    getSettings({ changedOnly = false } = {}) {
+        const out = {};
+        for (const [key, value] of Object.entries(this.settings)) {
+            if (changedOnly && this._isDefaultSetting(key, value)) continue;
+            out[key] = structuredClone(value);
+        }
+        return out;
+    }
 
-        return `${prefix}
-uniform sampler2D u_texture;
-void main() { ${suffix} = texture2D(u_texture, v_texCoord); }`;
+    // 'json' or 'query' (URL search string without "?"). Only changed values are written and
+    // palettes are saved by name, so registering more palettes doesn't shift them
+    exportSettings(format = 'json') {
+        const values = this.getSettings({ changedOnly: true });
+        if ('colorMode' in values) values.colorMode = this.colorModeNames[values.colorMode];
+        if (format === 'json') return JSON.stringify(values);
+        if (format !== 'query') throw new Error(`Unknown settings format "${format}"`);
+
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(values)) {
+            if (typeof value === 'boolean') params.set(key, value ? '1' : '0');
+            else if (Array.isArray(value)) params.set(key, JSON.stringify(value));
+            else params.set(key, value ?? '');
+        }
+        return params.toString();
     }
 
-    _getParticleVertSource() {
-        if (this.isWebGL2) {
-            return `#version 300 es
-in vec2 a_particleUV;
-uniform sampler2D u_particleData;
-out vec4 v_color;
+    // Counterpart of exportSettings: JSON string, query string / URLSearchParams or plain object.
+    // Keys outside the schema are skipped (page URLs carry their own parameters)
+    importSettings(data) {
+        let values = data;
+        if (typeof data === 'string') {
+            const text = data.trim();
+            values = text.startsWith('{') ? JSON.parse(text) : new URLSearchParams(text);
+        }
+        if (values instanceof URLSearchParams) values = Object.fromEntries(values);
 
-void main() {
-    vec4 data = texture(u_particleData, a_particleUV);
-    vec2 pos = data.xy;
-    vec2 vel = data.zw;
-    
-    gl_PointSize = 1.0;
-    gl_Position = vec4(pos, 0.0, 1.0);
-    
-    float speed = length(vel);
-    float x = clamp(speed * 4.0, 0.0, 1.0);
-    v_color.rgb = mix(vec3(0.134, 0.0, 0.117), vec3(0.0, 0.478, 1.0), x) + vec3(0.631, 0.925, 1.0) * x * x * x * 0.1;
-    v_color.a = 1.0;
-}`;
+        const known = {};
+        for (const [key, value] of Object.entries(values)) {
+            if (key in DaemonFluidBase.SETTINGS_SCHEMA) known[key] = value;
         }
-        return `
-attribute vec2 a_particleUV;
-uniform sampler2D u_particleData;
-varying vec4 v_color;
+        this.updateSettings(known);
+        return this;
+    }
 
-void main() {
-    vec4 data = texture2D(u_particleData, a_particleUV);
-    vec2 pos = data.xy;
-    vec2 vel = data.zw;
-    
-    gl_PointSize = 1.0;
-    gl_Position = vec4(pos, 0.0, 1.0);
-    
-    float speed = length(vel);
-    float x = clamp(speed * 4.0, 0.0, 1.0);
-    v_color.rgb = mix(vec3(0.134, 0.0, 0.117), vec3(0.0, 0.478, 1.0), x) + vec3(0.631, 0.925, 1.0) * x * x * x * 0.1;
-    v_color.a = 1.0;
-}`;
+    getPresetNames() {
+        return [...new Set([...Object.keys(DaemonFluidBase.PRESETS), ...Object.keys(this.userPresets)])];
     }
 
-    _getParticleFragSource() {
-        if (this.isWebGL2) {
-            return `#version 300 es
-precision highp float;
-in vec4 v_color;
-out vec4 fragColor;
-void main() { fragColor = v_color; }`;
+    // Saved presets shadow built-ins of the same name
+    loadPreset(name) {
+        const preset = this.userPresets[name] ?? DaemonFluidBase.PRESETS[name];
+        if (!preset) throw new Error(`Unknown preset "${name}"`);
+
+        const base = DaemonFluidBase.defaultSettings();
+        for (const [key, spec] of Object.entries(DaemonFluidBase.SETTINGS_SCHEMA)) {
+            if (DaemonFluidBase.PAGE_GROUPS.includes(spec.group)) delete base[key];
         }
-        return `precision highp float;
-varying vec4 v_color;
-void main() { gl_FragColor = v_color; }`;
+        this.updateSettings({ ...base, ...preset });
+        return this;
     }
 
-    _getParticleUpdateSource() {
-        const prefix = this.isWebGL2 ? `#version 300 es
-precision highp float;
-in vec2 v_texCoord;
-out vec4 fragColor;
-#define texture2D texture
-` : `precision highp float;
-varying vec2 v_texCoord;
-`;
-        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
-
-        return `${prefix}
-uniform sampler2D u_particleData;
-uniform sampler2D u_velocity;
-uniform float u_dt;
-uniform vec2 u_flowScale;
-uniform float u_drag;
-uniform float u_speed;
+    // Store the current (changed, non-page) settings under a name, kept in localStorage
+    savePreset(name) {
+        const values = JSON.parse(this.exportSettings('json'));
+        for (const [key, spec] of Object.entries(DaemonFluidBase.SETTINGS_SCHEMA)) {
+            if (DaemonFluidBase.PAGE_GROUPS.includes(spec.group)) delete values[key];
+        }
+        this.userPresets[name] = values;
+        this._storeUserPresets();
+        return values;
+    }
 
-void main() {
-    vec4 data = texture2D(u_particleData, v_texCoord);
-    vec2 pos = data.xy;
-    vec2 vel = data.zw;
-    
-    vec2 texCoord = (pos + 1.0) * 0.5;
-    vec2 flowVel = texture2D(u_velocity, texCoord).xy * u_flowScale;
-    
-    vel += (flowVel - vel) * u_drag;
-    pos += u_dt * vel * u_speed;
-    
-    // Wrap
-    pos = mod(pos + 1.0, 2.0) - 1.0;
-    
-    ${suffix} = vec4(pos, vel);
-}`;
+    deletePreset(name) {
+        delete this.userPresets[name];
+        this._storeUserPresets();
     }
 
-    _getParticleInitSource() {
+    // Queue one splat or an array of them for the next step.
+    // x/y: 0..1 from the canvas top-left; dx/dy: canvas sizes per second;
+    // color: [r, g, b], CSS color or 'rainbow' (default follows the dyeColor setting)
+    splat(splats) {
+        if (this.destroyed) return this;
+        for (const s of Array.isArray(splats) ? splats : [splats]) {
+            const splat = {
+                x: s.x ?? 0.5,
+                y: s.y ?? 0.5,
+                dx: s.dx ?? 0,
+                dy: s.dy ?? 0,
+                color: s.color ?? null,
+                radius: s.radius,
+            };
+            this.splatQueue.push(splat);
+            this._recordInput('s', splat.x, splat.y, splat.dx, splat.dy, splat.color, splat.radius ?? null);
+        }
+        // Drop the oldest when nobody is stepping (paused / hidden tab)
+        if (this.splatQueue.length > this.maxQueuedSplats) {
+            this.splatQueue.splice(0, this.splatQueue.length - this.maxQueuedSplats);
+        }
+        return this;
+    }
+
+    // Current frame as an image Blob. { type: 'image/png' | 'image/webp' | 'image/jpeg', quality, width, height }
+    captureFrame({ type = 'image/png', quality, width, height } = {}) {
+        if (this.destroyed) return Promise.reject(new Error('Engine destroyed'));
+        return this._canvasToBlob(this._captureCanvas(width, height), type, quality);
+    }
+
+    // Record the live canvas to WebM until stopRecording()
+    startRecording({ fps = 60, mimeType, videoBitsPerSecond = 8000000 } = {}) {
+        if (this.recorder) throw new Error('Already recording');
+        if (!this.canvas.captureStream || typeof MediaRecorder === 'undefined') {
+            throw new Error('Recording is not supported in this browser');
+        }
+
+        const stream = this.canvas.captureStream(fps);
+        const type = this._pickRecorderMimeType(mimeType);
+        this.recordedChunks = [];
+        this.recorder = new MediaRecorder(stream, { mimeType: type || undefined, videoBitsPerSecond });
+        this.recorder.ondataavailable = e => { if (e.data.size > 0) this.recordedChunks.push(e.data); };
+        this.recorder.start(250);
+    }
+
+    // Resolves with the recorded video Blob
+    stopRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return Promise.reject(new Error('Not recording'));
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                recorder.stream.getTracks().forEach(t => t.stop());
+                const blob = new Blob(this.recordedChunks, { type: recorder.mimeType || 'video/webm' });
+                this.recorder = null;
+                this.recordedChunks = [];
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+
+    isRecording() { return !!this.recorder; }
+
+    // Offline render at a fixed timestep, independent of wall-clock speed.
+    // script(frame, engine) runs before each frame (inject splats there); onFrame(blob, frame)
+    // receives each image as it is encoded. Resolves with the Blobs unless onFrame is given.
+    async renderSequence({ frames, fps = 30, type = 'image/png', quality, width, height, script, onFrame } = {}) {
+        if (this.destroyed) throw new Error('Engine destroyed');
+        if (!(frames > 0)) throw new Error('renderSequence needs a positive frame count');
+
+        // A loop parked by a hidden tab counts as running: pause() forgets hiddenPause
+        const wasRunning = this.running || this.hiddenPause;
+        this.pause();
+
+        // Keep each solver step within the same 0.02 s cap as the live loop
+        // (fixed-timestep mode uses its own substeps instead)
+        const frameDt = 1 / fps;
+        const substeps = Math.ceil(frameDt / 0.02);
+        const blobs = [];
+
+        try {
+            for (let frame = 0; frame < frames; frame++) {
+                if (script) script(frame, this);
+                if (this.fixedTimestep) this._advance(frameDt);
+                else for (let i = 0; i < substeps; i++) this._step(frameDt / substeps);
+
+                const blob = await this._canvasToBlob(this._captureCanvas(width, height), type, quality);
+                if (this.destroyed) break;
+                if (onFrame) await onFrame(blob, frame);
+                else blobs.push(blob);
+            }
+        } finally {
+            if (wasRunning && this.pageHidden) this.hiddenPause = true;
+            else if (wasRunning) this.resume();
+        }
+        return blobs;
+    }
+
+    // Record pointer input and splat() calls, timed in simulation time
+    startInputRecording() {
+        this.inputRecording = { start: this.simTime, ids: new Map(), events: [] };
+    }
+
+    // Returns the recording as a plain object (JSON.stringify it to save)
+    stopInputRecording() {
+        const rec = this.inputRecording;
+        if (!rec) return null;
+        this.inputRecording = null;
+        return {
+            version: 1,
+            duration: Math.round((this.simTime - rec.start) * 1000),
+            events: rec.events,
+        };
+    }
+
+    // Replay a recording (object or JSON string). { loop, speed, onEnd }
+    playInput(recording, { loop = false, speed = 1, onEnd = null } = {}) {
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        if (!data || data.version !== 1 || !Array.isArray(data.events)) {
+            throw new Error('Unsupported input recording');
+        }
+        this.stopInput();
+        this.inputReplay = { data, start: this.simTime, cursor: 0, loop, speed, onEnd };
+    }
+
+    stopInput() {
+        if (!this.inputReplay) return;
+        this.inputReplay = null;
+        this._releaseReplayPointers();
+    }
+
+    isReplaying() { return !!this.inputReplay; }
+
+    // Seeded PRNG (mulberry32) for scripted input that must replay identically
+    random() {
+        // Wrap to 32 bits or the state grows past exact doubles after enough draws
+        this.rngState = (this.rngState + 0x6D2B79F5) | 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.reset();
+    }
+
+    pause() {
+        this.hiddenPause = false;
+        if (!this.running) return;
+        this.running = false;
+        cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+
+    resume() {
+        if (this.running || this.destroyed || this.contextLost || !this.useInternalLoop) return;
+        this.running = true;
+        // Don't let the paused interval count as one huge frame
+        this.lastFrameTime = performance.now();
+        this.lastFpsTime = this.lastFrameTime;
+        this.lastStatsTime = null;
+        this.frameCount = 0;
+        this._animate();
+    }
+
+    isRunning() { return this.running; }
+
+    // Follow a fixed size (CSS px) instead of the window; null goes back to following the window
+    setViewport(width, height) {
+        this.viewport = width == null ? null : { width, height };
+        this._resize();
+    }
+}
+
+class DaemonFluidEngine extends DaemonFluidBase {
+    // The WebGL engine when the device can run it, otherwise the Canvas 2D fallback
+    // (DaemonFluidCanvasFallback, isFallback = true) with the same options and settings API.
+    // worker: true runs the WebGL engine in a Web Worker where OffscreenCanvas allows it
+    // (DaemonFluidWorkerProxy, isWorker = true; options.workerUrl overrides fluid-worker.js)
+    static create(canvasId, options = {}) {
+        const { worker = false, ...engineOptions } = options;
+        if (worker && DaemonFluidWorkerProxy.isSupported(document.getElementById(canvasId))) {
+            return new DaemonFluidWorkerProxy(canvasId, engineOptions);
+        }
+        try {
+            return new DaemonFluidEngine(canvasId, engineOptions);
+        } catch (e) {
+            if (!document.getElementById(canvasId)) throw e;
+            console.warn(`🌊 DAEMON Fluid Engine: ${e.message}, falling back to Canvas 2D`);
+            return new DaemonFluidCanvasFallback(canvasId, engineOptions);
+        }
+    }
+
+    // create(), settled once the engine runs. The canvas is handed to a worker before its engine
+    // is built, so a worker engine that fails to start (shader compile error, no usable format)
+    // can only be replaced: on a fresh copy of the canvas, by the main-thread engine or Canvas 2D
+    static async createAsync(canvasId, options = {}) {
+        const engine = DaemonFluidEngine.create(canvasId, options);
+        if (!engine.isWorker) return engine;
+        try {
+            return await engine.ready;
+        } catch (e) {
+            console.warn(`🌊 DAEMON Fluid Engine: worker failed to start (${e.message}), running on the main thread`);
+            engine.destroy();
+            engine.canvas.replaceWith(engine.canvas.cloneNode(false));
+            return DaemonFluidEngine.create(canvasId, { ...options, worker: false });
+        }
+    }
+
+    // canvasId: element id, or the canvas itself (an OffscreenCanvas inside the render worker)
+    constructor(canvasId, options = {}) {
+        super(options);
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
+        if (!this.canvas) throw new Error(`Canvas "${canvasId}" not found`);
+
+        // Overlay mode: premultiplied output over the page, dye intensity becomes coverage
+        this.transparent = !!options.transparent;
+        // Passthrough: canvas ignores pointer events, input is tracked on the window
+        this.passthrough = !!options.passthrough;
+        if (this.passthrough && this.canvas.style) this.canvas.style.pointerEvents = 'none';
+        // Size the canvas follows in CSS px ({ width, height }); null follows the window
+        this.viewport = options.viewport ?? null;
+        // 'auto' picks the best renderable format; naming a lower rung forces it (for testing)
+        this.requestedFieldFormat = options.fieldFormat ?? 'auto';
+
+        // Try WebGL2, fallback to WebGL1
+        this.gl = this.canvas.getContext('webgl2', {
+            alpha: this.transparent,
+            premultipliedAlpha: true,
+            depth: false,
+            stencil: false,
+            antialias: false,
+            preserveDrawingBuffer: false,
+            powerPreference: 'high-performance',
+        });
+
+        this.isWebGL2 = !!this.gl;
+
+        if (!this.gl) {
+            this.gl = this.canvas.getContext('webgl', {
+                alpha: this.transparent,
+                premultipliedAlpha: true,
+                depth: false,
+                stencil: false,
+                antialias: false,
+                preserveDrawingBuffer: false,
+            });
+        }
+
+        if (!this.gl) throw new Error('WebGL not supported');
+
+        console.log(`🌊 DAEMON Fluid Engine: ${this.isWebGL2 ? 'WebGL2' : 'WebGL1'}`);
+
+        // Extensions
+        this._initExtensions();
+
+        // Quality presets (optimized)
+        this.qualityPresets = [
+            { particles: 16384, scale: 1 / 8, iterations: 10 }, // Ultra Low
+            { particles: 65536, scale: 1 / 6, iterations: 14 }, // Low
+            { particles: 262144, scale: 1 / 4, iterations: 20 }, // Medium
+            { particles: 524288, scale: 1 / 3, iterations: 25 }, // High
+            { particles: 1048576, scale: 1 / 2, iterations: 32 }, // Ultra High
+        ];
+
+        // A quality preset without explicit iterations brings its own
+        if (options.quality != null && options.solverIterations == null) {
+            this.settings.solverIterations = this.qualityPresets[this.settings.quality].iterations;
+        }
+
+        // Color palettes: sampled into a lookup texture, one row per palette
+        this.palettes = [];
+        this.colorModeNames = [];
+        this.paletteLutSize = 256;
+
+        // State
+        this.simWidth = 0;
+        this.simHeight = 0;
+        this.aspectRatio = 1;
+
+        // Pointers (mouse, pen and every active touch), keyed by identifier
+        this.pointers = [];
+        this.pointerPositions = new Float32Array(this.maxPointers * 2);
+        this.lastPointerPositions = new Float32Array(this.maxPointers * 2);
+        this.pointerColors = new Float32Array(this.maxPointers * 3);
+        this.activePointerCount = 0;
+
+        // Programmatic input: one-shot splats (flushed each step) and persistent force fields
+        this.splatQueue = [];
+        this.maxQueuedSplats = 256;
+        this.forceFields = new Map();
+        this.nextForceFieldId = 1;
+
+        // Input recording / replay
+        this.inputRecording = null;
+        this.inputReplay = null;
+
+        // Particle lifetimes / streaks: GPU state is created on first use
+        this.particleLife = null;
+        this.particleLifetimeApplied = 0;
+        this.particleLineBuffer = null;
+        this.particleEmitterData = new Float32Array(8 * 3);
+
+        // Background image (drawn under the scene), see setBackgroundImage()
+        this.backgroundImage = null;
+        this.backgroundTexture = null;
+        this.backgroundFit = 'cover';
+        this.backgroundColor = null;
+        this.backgroundColorSource = null;
+        this.parsedColors = new Map();
+
+        // Obstacles
+        this.obstacleSources = null;
+        this.obstaclePadding = 0;
+        this.hasObstacles = false;
+
+        // Performance
+        this.frameCount = 0;
+        this.lastFpsTime = performance.now();
+        this.currentFps = 60;
+        this.lastFrameTime = performance.now();
+
+        // Quality governor: each lever is tuned on its own. particles/scale are preset levels,
+        // iterations indexes iterationScales (fractions of the solverIterations setting)
+        this.iterationScales = [0.5, 0.75, 1];
+        this.qualityLevels = { iterations: 2, particles: this.settings.quality, scale: this.settings.quality };
+        this.loweredLevers = [];
+        this.frameTimes = new Float32Array(90);
+        this.frameTimeCount = 0;
+        this.frameTimeIdx = 0;
+        this.lastStatsTime = null;
+        this.lastGovernorCheck = 0;
+        this.lastQualityChange = 0;
+        this.lastQualityUp = -Infinity;
+        this.stableChecks = 0;
+        this.probeDelay = 4000;
+
+        // Event handlers by type (see on()) and cleanup returned by plugins (see use())
+        this.eventHandlers = new Map();
+        this.pluginDisposers = [];
+
+        // Lifecycle
+        this.useInternalLoop = options.loop !== false;
+        this.running = false;
+        this.destroyed = false;
+        this.rafId = null;
+        this.hiddenPause = false;
+        this.pageHidden = typeof document !== 'undefined' && document.hidden;
+        this.contextLost = false;
+        this.resumeAfterRestore = false;
+        this.listeners = [];
+
+        // Timestep: variable (wall clock, capped) or fixed substeps via an accumulator
+        this.fixedTimestep = options.fixedTimestep ?? null;
+        this.maxSubsteps = options.maxSubsteps ?? 4;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.simTime = 0;
+
+        // Seed for particle layout and engine.random(); null keeps the regular grid layout
+        this.seed = options.seed ?? null;
+        this._reseed();
+
+        // Post-processing: custom passes, render targets are created on first use
+        this.postPasses = [];
+        this.postFBO = null;
+        this.bloomFBOs = [];
+
+        // Capture
+        this.recorder = null;
+        this.recordedChunks = [];
+
+        // Initialize
+        this._initShaders();
+        this._initBuffers();
+        this._initPalettes();
+        this.settings.colorMode = this._resolveColorMode(this.settings.colorMode);
+        this._initFramebuffers();
+        this._initEventListeners();
+        this._resize();
+
+        // Start (host drives step()/render() itself when loop is disabled)
+        if (this.useInternalLoop) this.resume();
+    }
+
+    // ========== EXTENSIONS ==========
+
+    _initExtensions() {
+        this.fieldFormat = this._detectFieldFormat();
+        if (this.fieldFormat.name !== 'rgba32f') {
+            console.warn(`🌊 DAEMON Fluid Engine: no float32 render targets, using ${this.fieldFormat.name}`);
+        }
+        this.postFormat = this._detectPostFormat();
+    }
+
+    // Velocity/pressure targets, best first: RGBA32F -> RGBA16F -> WebGL1 half-float extension ->
+    // packed RGBA8 (two 16-bit fixed-point values per texel, see _getFieldCodecSource).
+    // A rung only counts if a framebuffer with it is complete; filtering is always NEAREST
+    // (advection interpolates by hand), so linear float filtering is not required.
+    _detectFieldFormat() {
+        const gl = this.gl;
+        const ladder = [];
+
+        if (this.isWebGL2) {
+            const colorFloat = gl.getExtension('EXT_color_buffer_float');
+            const colorHalf = gl.getExtension('EXT_color_buffer_half_float');
+            if (colorFloat) ladder.push({ name: 'rgba32f', internalFormat: gl.RGBA32F, type: gl.FLOAT });
+            if (colorFloat || colorHalf) ladder.push({ name: 'rgba16f', internalFormat: gl.RGBA16F, type: gl.HALF_FLOAT });
+        } else {
+            if (gl.getExtension('OES_texture_float')) {
+                gl.getExtension('WEBGL_color_buffer_float');
+                ladder.push({ name: 'rgba32f', internalFormat: gl.RGBA, type: gl.FLOAT });
+            }
+            const halfFloat = gl.getExtension('OES_texture_half_float');
+            if (halfFloat) {
+                gl.getExtension('EXT_color_buffer_half_float');
+                ladder.push({ name: 'half-float-ext', internalFormat: gl.RGBA, type: halfFloat.HALF_FLOAT_OES });
+            }
+        }
+
+        this.floatFormats = ladder;
+
+        // A forced rung that isn't available here goes straight to packed
+        const requested = this.requestedFieldFormat;
+        const start = requested === 'auto' ? 0 : ladder.findIndex(f => f.name === requested);
+        for (const format of start === -1 ? [] : ladder.slice(start)) {
+            if (this._isRenderable(format)) return { ...format, packed: false };
+        }
+        return { name: 'packed', internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, packed: true };
+    }
+
+    // Scene/bloom/sunrays targets hold HDR color for the bloom threshold and tone mapping, and are
+    // sampled with LINEAR filtering: the field rung or a lower float rung that can filter it.
+    // null (RGBA8) only when the fields themselves are packed
+    _detectPostFormat() {
+        if (this.fieldFormat.packed) return null;
+        const gl = this.gl;
+        const linear = {
+            rgba32f: gl.getExtension('OES_texture_float_linear'),
+            rgba16f: true,
+            'half-float-ext': gl.getExtension('OES_texture_half_float_linear'),
+        };
+        const start = this.floatFormats.findIndex(f => f.name === this.fieldFormat.name);
+        return this.floatFormats.slice(start).find(f => linear[f.name] && this._isRenderable(f)) ?? null;
+    }
+
+    _isRenderable(format) {
+        const gl = this.gl;
+        while (gl.getError() !== gl.NO_ERROR) { /* drain stale errors */ }
+
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, 4, 4, 0, gl.RGBA, format.type, null);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+
+        const ok = gl.getError() === gl.NO_ERROR
+            && gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fbo);
+        gl.deleteTexture(tex);
+        return ok;
+    }
+
+    // ========== SHADERS ==========
+
+    _getShaderHeader() {
+        if (this.isWebGL2) {
+            return `#version 300 es
+precision highp float;
+precision highp sampler2D;
+`;
+        }
+        return `precision highp float;
+`;
+    }
+
+    _getVertexSource() {
+        if (this.isWebGL2) {
+            return `#version 300 es
+in vec2 a_position;
+out vec2 v_texCoord;
+out vec2 v_simPos;
+uniform float u_aspectRatio;
+
+void main() {
+    v_texCoord = a_position;
+    vec2 clipSpace = a_position * 2.0 - 1.0;
+    v_simPos = vec2(clipSpace.x * u_aspectRatio, clipSpace.y);
+    gl_Position = vec4(clipSpace, 0.0, 1.0);
+}`;
+        }
+        return `
+attribute vec2 a_position;
+varying vec2 v_texCoord;
+varying vec2 v_simPos;
+uniform float u_aspectRatio;
+
+void main() {
+    v_texCoord = a_position;
+    vec2 clipSpace = a_position * 2.0 - 1.0;
+    v_simPos = vec2(clipSpace.x * u_aspectRatio, clipSpace.y);
+    gl_Position = vec4(clipSpace, 0.0, 1.0);
+}`;
+    }
+
+    // Float targets pass fields straight through. Packed RGBA8 targets store two signed
+    // 16-bit fixed-point values (x in RG, y in BA), each field scaled to its own range
+    _getFieldCodecSource() {
+        const ranges = `#define VELOCITY_RANGE 1024.0
+#define PRESSURE_RANGE 1024.0
+#define DIVERGENCE_RANGE 64.0
+#define CURL_RANGE 512.0`;
+        if (!this.fieldFormat.packed) {
+            return `${ranges}
+vec4 readField(sampler2D t, vec2 uv, float range) { return texture2D(t, uv); }
+vec4 writeField(vec4 v, float range) { return v; }`;
+        }
+        return `${ranges}
+vec2 packHalf(float v, float range) {
+    float n = floor(clamp(v / range * 0.5 + 0.5, 0.0, 1.0) * 65535.0 + 0.5);
+    float hi = floor(n / 256.0);
+    return vec2(hi, n - hi * 256.0) / 255.0;
+}
+float unpackHalf(vec2 p, float range) {
+    vec2 b = floor(p * 255.0 + 0.5);
+    return ((b.x * 256.0 + b.y) / 65535.0 * 2.0 - 1.0) * range;
+}
+vec4 readField(sampler2D t, vec2 uv, float range) {
+    vec4 p = texture2D(t, uv);
+    return vec4(unpackHalf(p.rg, range), unpackHalf(p.ba, range), 0.0, 1.0);
+}
+vec4 writeField(vec4 v, float range) {
+    return vec4(packHalf(v.x, range), packHalf(v.y, range));
+}`;
+    }
+
+    _getAdvectSource() {
         const prefix = this.isWebGL2 ? `#version 300 es
 precision highp float;
 in vec2 v_texCoord;
+in vec2 v_simPos;
 out vec4 fragColor;
+#define texture2D texture
 ` : `precision highp float;
 varying vec2 v_texCoord;
+varying vec2 v_simPos;
 `;
         const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
 
         return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_velocity;
+uniform sampler2D u_target;
+uniform float u_dt;
+uniform float u_rdx;
+uniform vec2 u_invRes;
+uniform float u_aspectRatio;
+uniform float u_dissipation;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+// Velocity advects itself as a packed field; dye is always plain RGBA8
+uniform bool u_targetIsField;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+vec4 readTarget(vec2 uv) {
+    return u_targetIsField ? readField(u_target, uv, VELOCITY_RANGE) : texture2D(u_target, uv);
+}
+
+vec2 simToTexel(vec2 simPos) {
+    return vec2(simPos.x / u_aspectRatio + 1.0, simPos.y + 1.0) * 0.5;
+}
+
 void main() {
-    vec2 pos = v_texCoord * 2.0 - 1.0;
-    ${suffix} = vec4(pos, 0.0, 0.0);
+    vec2 vel = readField(u_velocity, v_texCoord, VELOCITY_RANGE).xy;
+    vec2 tracedPos = v_simPos - u_dt * u_rdx * vel;
+    vec2 texelPos = simToTexel(tracedPos) / u_invRes;
+    
+    vec2 st = floor(texelPos - 0.5) + 0.5;
+    vec2 t = texelPos - st;
+    st *= u_invRes;
+    vec2 st2 = st + u_invRes;
+    
+    vec4 t11 = readTarget(st);
+    vec4 t21 = readTarget(vec2(st2.x, st.y));
+    vec4 t12 = readTarget(vec2(st.x, st2.y));
+    vec4 t22 = readTarget(st2);
+    
+    vec4 result = mix(mix(t11, t21, t.x), mix(t12, t22, t.x), t.y) * u_dissipation;
+    result = isSolid(v_texCoord) ? vec4(0.0) : result;
+    ${suffix} = u_targetIsField ? writeField(result, VELOCITY_RANGE) : result;
 }`;
     }
 
-    // ========== COMPILATION ==========
+    _getDivergenceSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
 
-    _compileShader(source, type) {
-        const gl = this.gl;
-        const shader = gl.createShader(type);
-        gl.shaderSource(shader, source);
-        gl.compileShader(shader);
-        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            console.error('Shader error:', gl.getShaderInfoLog(shader));
-            console.error('Source:', source);
-            gl.deleteShader(shader);
-            return null;
-        }
-        return shader;
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_velocity;
+uniform float u_halfRdx;
+uniform vec2 u_invRes;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+vec2 sampleVel(vec2 coord) {
+    if (isSolid(coord)) return vec2(0.0);
+    vec2 offset = vec2(0.0);
+    vec2 mult = vec2(1.0);
+    if (coord.x < 0.0) { offset.x = 1.0; mult.x = -1.0; }
+    else if (coord.x > 1.0) { offset.x = -1.0; mult.x = -1.0; }
+    if (coord.y < 0.0) { offset.y = 1.0; mult.y = -1.0; }
+    else if (coord.y > 1.0) { offset.y = -1.0; mult.y = -1.0; }
+    return mult * readField(u_velocity, coord + offset * u_invRes, VELOCITY_RANGE).xy;
+}
+
+void main() {
+    vec2 L = sampleVel(v_texCoord - vec2(u_invRes.x, 0.0));
+    vec2 R = sampleVel(v_texCoord + vec2(u_invRes.x, 0.0));
+    vec2 B = sampleVel(v_texCoord - vec2(0.0, u_invRes.y));
+    vec2 T = sampleVel(v_texCoord + vec2(0.0, u_invRes.y));
+    ${suffix} = writeField(vec4(u_halfRdx * ((R.x - L.x) + (T.y - B.y)), 0.0, 0.0, 1.0), DIVERGENCE_RANGE);
+}`;
+    }
+
+    _getPressureSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_pressure;
+uniform sampler2D u_divergence;
+uniform float u_alpha;
+uniform vec2 u_invRes;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+float sampleP(vec2 coord) {
+    vec2 offset = vec2(0.0);
+    if (coord.x < 0.0) offset.x = 1.0;
+    else if (coord.x > 1.0) offset.x = -1.0;
+    if (coord.y < 0.0) offset.y = 1.0;
+    else if (coord.y > 1.0) offset.y = -1.0;
+    return readField(u_pressure, coord + offset * u_invRes, PRESSURE_RANGE).x;
+}
+
+void main() {
+    vec2 cL = v_texCoord - vec2(u_invRes.x, 0.0);
+    vec2 cR = v_texCoord + vec2(u_invRes.x, 0.0);
+    vec2 cB = v_texCoord - vec2(0.0, u_invRes.y);
+    vec2 cT = v_texCoord + vec2(0.0, u_invRes.y);
+    float C = readField(u_pressure, v_texCoord, PRESSURE_RANGE).x;
+    // Solid neighbours take the centre pressure (zero normal gradient)
+    float L = isSolid(cL) ? C : sampleP(cL);
+    float R = isSolid(cR) ? C : sampleP(cR);
+    float B = isSolid(cB) ? C : sampleP(cB);
+    float T = isSolid(cT) ? C : sampleP(cT);
+    float div = readField(u_divergence, v_texCoord, DIVERGENCE_RANGE).x;
+    ${suffix} = writeField(vec4((L + R + B + T + u_alpha * div) * 0.25, 0.0, 0.0, 1.0), PRESSURE_RANGE);
+}`;
+    }
+
+    _getResidualSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_pressure;
+uniform sampler2D u_divergence;
+uniform float u_invH2;
+uniform vec2 u_invRes;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+float sampleP(vec2 coord) {
+    vec2 offset = vec2(0.0);
+    if (coord.x < 0.0) offset.x = 1.0;
+    else if (coord.x > 1.0) offset.x = -1.0;
+    if (coord.y < 0.0) offset.y = 1.0;
+    else if (coord.y > 1.0) offset.y = -1.0;
+    return readField(u_pressure, coord + offset * u_invRes, PRESSURE_RANGE).x;
+}
+
+void main() {
+    vec2 cL = v_texCoord - vec2(u_invRes.x, 0.0);
+    vec2 cR = v_texCoord + vec2(u_invRes.x, 0.0);
+    vec2 cB = v_texCoord - vec2(0.0, u_invRes.y);
+    vec2 cT = v_texCoord + vec2(0.0, u_invRes.y);
+    float C = readField(u_pressure, v_texCoord, PRESSURE_RANGE).x;
+    float L = isSolid(cL) ? C : sampleP(cL);
+    float R = isSolid(cR) ? C : sampleP(cR);
+    float B = isSolid(cB) ? C : sampleP(cB);
+    float T = isSolid(cT) ? C : sampleP(cT);
+    float div = readField(u_divergence, v_texCoord, DIVERGENCE_RANGE).x;
+    float r = isSolid(v_texCoord) ? 0.0 : div - (L + R + B + T - 4.0 * C) * u_invH2;
+    ${suffix} = writeField(vec4(r, 0.0, 0.0, 1.0), DIVERGENCE_RANGE);
+}`;
+    }
+
+    _getRestrictSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_source;
+uniform vec2 u_fineInvRes;
+
+void main() {
+    vec2 o = 0.5 * u_fineInvRes;
+    float sum = readField(u_source, v_texCoord + vec2(-o.x, -o.y), DIVERGENCE_RANGE).x
+              + readField(u_source, v_texCoord + vec2( o.x, -o.y), DIVERGENCE_RANGE).x
+              + readField(u_source, v_texCoord + vec2(-o.x,  o.y), DIVERGENCE_RANGE).x
+              + readField(u_source, v_texCoord + vec2( o.x,  o.y), DIVERGENCE_RANGE).x;
+    ${suffix} = writeField(vec4(sum * 0.25, 0.0, 0.0, 1.0), DIVERGENCE_RANGE);
+}`;
+    }
+
+    _getProlongateSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_fine;
+uniform sampler2D u_coarse;
+uniform vec2 u_coarseInvRes;
+
+void main() {
+    // Bilinear interpolation of the coarse correction (float textures may lack linear filtering)
+    vec2 texelPos = v_texCoord / u_coarseInvRes;
+    vec2 st = floor(texelPos - 0.5) + 0.5;
+    vec2 t = texelPos - st;
+    st *= u_coarseInvRes;
+    vec2 st2 = st + u_coarseInvRes;
+
+    float e11 = readField(u_coarse, st, PRESSURE_RANGE).x;
+    float e21 = readField(u_coarse, vec2(st2.x, st.y), PRESSURE_RANGE).x;
+    float e12 = readField(u_coarse, vec2(st.x, st2.y), PRESSURE_RANGE).x;
+    float e22 = readField(u_coarse, st2, PRESSURE_RANGE).x;
+    float e = mix(mix(e11, e21, t.x), mix(e12, e22, t.x), t.y);
+
+    ${suffix} = writeField(vec4(readField(u_fine, v_texCoord, PRESSURE_RANGE).x + e, 0.0, 0.0, 1.0), PRESSURE_RANGE);
+}`;
+    }
+
+    _getGradientSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_pressure;
+uniform sampler2D u_velocity;
+uniform float u_halfRdx;
+uniform vec2 u_invRes;
+uniform bool u_noSlip;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+float sampleP(vec2 coord) {
+    vec2 offset = vec2(0.0);
+    if (coord.x < 0.0) offset.x = 1.0;
+    else if (coord.x > 1.0) offset.x = -1.0;
+    if (coord.y < 0.0) offset.y = 1.0;
+    else if (coord.y > 1.0) offset.y = -1.0;
+    return readField(u_pressure, coord + offset * u_invRes, PRESSURE_RANGE).x;
+}
+
+void main() {
+    if (isSolid(v_texCoord)) {
+        ${suffix} = writeField(vec4(0.0, 0.0, 0.0, 1.0), VELOCITY_RANGE);
+        return;
+    }
+
+    vec2 cL = v_texCoord - vec2(u_invRes.x, 0.0);
+    vec2 cR = v_texCoord + vec2(u_invRes.x, 0.0);
+    vec2 cB = v_texCoord - vec2(0.0, u_invRes.y);
+    vec2 cT = v_texCoord + vec2(0.0, u_invRes.y);
+    float C = readField(u_pressure, v_texCoord, PRESSURE_RANGE).x;
+
+    // vMask drops the velocity component pointing into a wall (free-slip)
+    vec2 vMask = vec2(1.0);
+    float L = sampleP(cL);
+    float R = sampleP(cR);
+    float B = sampleP(cB);
+    float T = sampleP(cT);
+    if (isSolid(cL)) { L = C; vMask.x = 0.0; }
+    if (isSolid(cR)) { R = C; vMask.x = 0.0; }
+    if (isSolid(cB)) { B = C; vMask.y = 0.0; }
+    if (isSolid(cT)) { T = C; vMask.y = 0.0; }
+
+    vec2 vel = readField(u_velocity, v_texCoord, VELOCITY_RANGE).xy;
+    vel -= u_halfRdx * vec2(R - L, T - B);
+
+    // No-slip also stops the tangential flow along the wall
+    bool touching = vMask.x < 1.0 || vMask.y < 1.0;
+    ${suffix} = writeField(vec4(u_noSlip && touching ? vec2(0.0) : vel * vMask, 0.0, 1.0), VELOCITY_RANGE);
+}`;
+    }
+
+    _getCurlSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_velocity;
+uniform vec2 u_invRes;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+// Solid cells don't move; no curl inside them
+vec2 sampleVel(vec2 coord) {
+    return isSolid(coord) ? vec2(0.0) : readField(u_velocity, coord, VELOCITY_RANGE).xy;
+}
+
+void main() {
+    float L = sampleVel(v_texCoord - vec2(u_invRes.x, 0.0)).y;
+    float R = sampleVel(v_texCoord + vec2(u_invRes.x, 0.0)).y;
+    float B = sampleVel(v_texCoord - vec2(0.0, u_invRes.y)).x;
+    float T = sampleVel(v_texCoord + vec2(0.0, u_invRes.y)).x;
+    float curl = isSolid(v_texCoord) ? 0.0 : 0.5 * ((R - L) - (T - B));
+    ${suffix} = writeField(vec4(curl, 0.0, 0.0, 1.0), CURL_RANGE);
+}`;
+    }
+
+    _getVorticitySource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_velocity;
+uniform sampler2D u_curl;
+uniform float u_curlStrength;
+uniform float u_dt;
+uniform vec2 u_invRes;
+uniform sampler2D u_obstacles;
+uniform bool u_useObstacles;
+
+bool isSolid(vec2 coord) { return u_useObstacles && texture2D(u_obstacles, coord).a > 0.5; }
+
+void main() {
+    float L = readField(u_curl, v_texCoord - vec2(u_invRes.x, 0.0), CURL_RANGE).x;
+    float R = readField(u_curl, v_texCoord + vec2(u_invRes.x, 0.0), CURL_RANGE).x;
+    float B = readField(u_curl, v_texCoord - vec2(0.0, u_invRes.y), CURL_RANGE).x;
+    float T = readField(u_curl, v_texCoord + vec2(0.0, u_invRes.y), CURL_RANGE).x;
+    float C = readField(u_curl, v_texCoord, CURL_RANGE).x;
+
+    // Push along the gradient of |curl| to re-spin small eddies
+    vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
+    force /= length(force) + 0.0001;
+    force *= u_curlStrength * C;
+    force.y *= -1.0;
+    // Never push fluid into solid cells
+    if (isSolid(v_texCoord)) force = vec2(0.0);
+
+    vec2 vel = readField(u_velocity, v_texCoord, VELOCITY_RANGE).xy;
+    ${suffix} = writeField(vec4(vel + force * u_dt, 0.0, 1.0), VELOCITY_RANGE);
+}`;
+    }
+
+    _getForceSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+in vec2 v_simPos;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+varying vec2 v_simPos;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+#define MAX_POINTERS ${this.maxPointers}
+
+uniform sampler2D u_velocity;
+uniform float u_dt;
+uniform float u_dx;
+uniform vec2 u_pointers[MAX_POINTERS];
+uniform vec2 u_lastPointers[MAX_POINTERS];
+uniform int u_pointerCount;
+uniform float u_radius;
+uniform float u_aspectRatio;
+
+vec2 clipToSim(vec2 c) { return vec2(c.x * u_aspectRatio, c.y); }
+
+float distToSeg(vec2 a, vec2 b, vec2 p, out float fp) {
+    vec2 d = p - a;
+    vec2 x = b - a;
+    float lx = length(x);
+    if (lx <= 0.0001) return length(d);
+    float proj = dot(d, x / lx);
+    fp = proj / lx;
+    if (proj < 0.0) return length(d);
+    else if (proj > lx) return length(p - b);
+    return sqrt(abs(dot(d, d) - proj * proj));
+}
+
+void main() {
+    vec2 vel = readField(u_velocity, v_texCoord, VELOCITY_RANGE).xy;
+    
+    for (int i = 0; i < MAX_POINTERS; i++) {
+        if (i >= u_pointerCount) break;
+        vec2 ptr = clipToSim(u_pointers[i]);
+        vec2 lastPtr = clipToSim(u_lastPointers[i]);
+        vec2 ptrVel = -(lastPtr - ptr) / max(u_dt, 0.001);
+        
+        float fp;
+        float dist = distToSeg(ptr, lastPtr, v_simPos, fp);
+        float tapering = 1.0 - clamp(fp, 0.0, 1.0) * 0.6;
+        
+        float m = exp(-dist / u_radius);
+        m *= tapering * tapering;
+        
+        vec2 targetVel = ptrVel * u_dx;
+        vel += (targetVel - vel) * m;
+    }
+    
+    ${suffix} = writeField(vec4(vel, 0.0, 1.0), VELOCITY_RANGE);
+}`;
+    }
+
+    _getPaletteSource() {
+        const size = this.paletteLutSize;
+        return `uniform sampler2D u_palette;
+uniform float u_paletteRow;
+
+// LUT stores color / 2 in 8 bits so highlights can exceed 1.0
+vec3 getColor(float x) {
+    float u = clamp(x, 0.0, 1.0) * ${(size - 1).toFixed(1)} / ${size.toFixed(1)} + ${(0.5 / size).toFixed(6)};
+    return texture2D(u_palette, vec2(u, u_paletteRow)).rgb * 2.0;
+}`;
+    }
+
+    _getDyeSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+in vec2 v_simPos;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+varying vec2 v_simPos;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+#define MAX_POINTERS ${this.maxPointers}
+
+uniform sampler2D u_dye;
+uniform float u_dt;
+uniform vec2 u_pointers[MAX_POINTERS];
+uniform vec2 u_lastPointers[MAX_POINTERS];
+uniform int u_pointerCount;
+uniform float u_radius;
+uniform float u_aspectRatio;
+uniform float u_intensity;
+uniform float u_decay;
+uniform vec3 u_pointerColors[MAX_POINTERS];
+uniform bool u_usePointerColors;
+
+vec2 clipToSim(vec2 c) { return vec2(c.x * u_aspectRatio, c.y); }
+
+float distToSeg(vec2 a, vec2 b, vec2 p, out float fp) {
+    vec2 d = p - a;
+    vec2 x = b - a;
+    float lx = length(x);
+    if (lx <= 0.0001) return length(d);
+    float proj = dot(d, x / lx);
+    fp = proj / lx;
+    if (proj < 0.0) return length(d);
+    else if (proj > lx) return length(p - b);
+    return sqrt(abs(dot(d, d) - proj * proj));
+}
+
+${this._getPaletteSource()}
+void main() {
+    vec4 color = texture2D(u_dye, v_texCoord);
+    color.rgb *= u_decay;
+    
+    for (int i = 0; i < MAX_POINTERS; i++) {
+        if (i >= u_pointerCount) break;
+        vec2 ptr = clipToSim(u_pointers[i]);
+        vec2 lastPtr = clipToSim(u_lastPointers[i]);
+        vec2 ptrVel = -(lastPtr - ptr) / max(u_dt, 0.001);
+        
+        float fp;
+        float dist = distToSeg(ptr, lastPtr, v_simPos, fp);
+        float tapering = 1.0 - clamp(fp, 0.0, 1.0) * 0.6;
+        
+        float R = 0.03;
+        float m = exp(-dist / R);
+        
+        float speed = length(ptrVel);
+        float x = clamp((speed * speed * 0.015 - dist * 4.0) * tapering, 0.0, 1.0);
+        
+        vec3 c = u_usePointerColors ? u_pointerColors[i] * x : getColor(x);
+        color.rgb += m * c * u_intensity;
+    }
+    
+    ${suffix} = color;
+}`;
+    }
+
+    _getSplatSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+in vec2 v_simPos;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+varying vec2 v_simPos;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_target;
+uniform vec2 u_point;
+uniform vec3 u_value;
+uniform float u_radius;
+uniform bool u_usePalette;
+uniform float u_colorX;
+uniform bool u_targetIsField;
+
+${this._getPaletteSource()}
+
+void main() {
+    vec4 base = u_targetIsField ? readField(u_target, v_texCoord, VELOCITY_RANGE) : texture2D(u_target, v_texCoord);
+    float m = exp(-length(v_simPos - u_point) / u_radius);
+    vec3 value = u_usePalette ? getColor(u_colorX) * u_value : u_value;
+    vec4 result = vec4(base.rgb + m * value, base.a);
+    ${suffix} = u_targetIsField ? writeField(result, VELOCITY_RANGE) : result;
+}`;
+    }
+
+    _getForceFieldSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+in vec2 v_simPos;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+varying vec2 v_simPos;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+${this._getFieldCodecSource()}
+uniform sampler2D u_velocity;
+uniform vec2 u_center;
+uniform vec2 u_direction;
+uniform float u_radius;
+uniform float u_strength;
+uniform int u_type;
+uniform float u_dt;
+
+void main() {
+    vec2 vel = readField(u_velocity, v_texCoord, VELOCITY_RANGE).xy;
+    vec2 d = v_simPos - u_center;
+    float len = max(length(d), 0.0001);
+    float falloff = exp(-len / u_radius);
+
+    vec2 force;
+    if (u_type == 0) force = d / len;                 // radial (negative strength attracts)
+    else if (u_type == 1) force = vec2(-d.y, d.x) / len; // vortex
+    else force = u_direction;                        // directional
+
+    ${suffix} = writeField(vec4(vel + force * u_strength * falloff * u_dt, 0.0, 1.0), VELOCITY_RANGE);
+}`;
+    }
+
+    _getDisplaySource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+uniform sampler2D u_texture;
+uniform bool u_transparent;
+
+void main() {
+    vec3 c = texture2D(u_texture, v_texCoord).rgb;
+    // Opaque: added onto the scene. Transparent: premultiplied, brightest channel is coverage
+    if (u_transparent) {
+        c = clamp(c, 0.0, 1.0);
+        ${suffix} = vec4(c, max(c.r, max(c.g, c.b)));
+    } else {
+        ${suffix} = vec4(c, 1.0);
+    }
+}`;
+    }
+
+    // Background image with cover/contain fit; u_uvScale/u_uvOffset map screen UV to image UV
+    _getBackgroundSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform vec2 u_uvScale;
+uniform vec2 u_uvOffset;
+
+void main() {
+    vec2 uv = v_texCoord * u_uvScale + u_uvOffset;
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) discard;
+    ${suffix} = texture2D(u_texture, uv);
+}`;
+    }
+
+    // Seeds the dye field from an image: replaces it, or adds on top (u_add)
+    _getDyeImageSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform sampler2D u_dye;
+uniform vec2 u_uvScale;
+uniform vec2 u_uvOffset;
+uniform float u_intensity;
+uniform bool u_add;
+
+void main() {
+    vec2 uv = v_texCoord * u_uvScale + u_uvOffset;
+    bool inside = uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+    vec3 img = inside ? texture2D(u_texture, uv).rgb * u_intensity : vec3(0.0);
+    vec4 base = texture2D(u_dye, v_texCoord);
+    ${suffix} = vec4(u_add ? base.rgb + img : img, base.a);
+}`;
+    }
+
+    _getPostPrefix() {
+        return this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+    }
+
+    _getBloomPrefilterSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform vec3 u_curve;
+uniform float u_threshold;
+
+void main() {
+    vec3 c = texture2D(u_texture, v_texCoord).rgb;
+    float br = max(c.r, max(c.g, c.b));
+    // Soft knee around the threshold
+    float rq = clamp(br - u_curve.x, 0.0, u_curve.y);
+    rq = u_curve.z * rq * rq;
+    c *= max(rq, br - u_threshold) / max(br, 0.0001);
+    ${suffix} = vec4(c, 1.0);
+}`;
+    }
+
+    _getBlurSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform vec2 u_texelSize;
+
+void main() {
+    vec4 sum = texture2D(u_texture, v_texCoord + vec2(-1.0, -1.0) * u_texelSize);
+    sum += texture2D(u_texture, v_texCoord + vec2(1.0, -1.0) * u_texelSize);
+    sum += texture2D(u_texture, v_texCoord + vec2(-1.0, 1.0) * u_texelSize);
+    sum += texture2D(u_texture, v_texCoord + vec2(1.0, 1.0) * u_texelSize);
+    ${suffix} = sum * 0.25;
+}`;
+    }
+
+    _getSunraysSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+#define SAMPLES 24
+
+uniform sampler2D u_texture;
+uniform vec2 u_origin;
+uniform float u_weight;
+
+// Radial light scattering: march towards the origin, accumulating decaying light
+void main() {
+    vec2 coord = v_texCoord;
+    vec2 delta = (coord - u_origin) * (0.7 / float(SAMPLES));
+    float illumination = 1.0;
+    vec3 color = vec3(0.0);
+
+    for (int i = 0; i < SAMPLES; i++) {
+        coord -= delta;
+        color += texture2D(u_texture, coord).rgb * illumination;
+        illumination *= 0.94;
+    }
+
+    ${suffix} = vec4(color * u_weight / float(SAMPLES), 1.0);
+}`;
+    }
+
+    _getCompositeSource() {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform sampler2D u_bloom;
+uniform sampler2D u_sunrays;
+uniform bool u_useBloom;
+uniform bool u_useSunrays;
+uniform bool u_dither;
+uniform int u_toneMapping;
+uniform float u_bloomIntensity;
+uniform float u_exposure;
+
+vec3 aces(vec3 x) {
+    return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+
+// Hejl-Burgess-Dawson filmic curve
+vec3 filmic(vec3 x) {
+    x = max(vec3(0.0), x - 0.004);
+    return (x * (6.2 * x + 0.5)) / (x * (6.2 * x + 1.7) + 0.06);
+}
+
+float hash12(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    vec3 c = base.rgb;
+    if (u_useBloom) c += texture2D(u_bloom, v_texCoord).rgb * u_bloomIntensity;
+    if (u_useSunrays) c += texture2D(u_sunrays, v_texCoord).rgb;
+
+    c *= u_exposure;
+    if (u_toneMapping == 1) c = aces(c);
+    else if (u_toneMapping == 2) c = filmic(c);
+
+    // Break up 8-bit banding in dark gradients
+    if (u_dither) c += (hash12(gl_FragCoord.xy) - 0.5) / 255.0;
+
+    ${suffix} = vec4(c, base.a);
+}`;
+    }
+
+    // Custom passes supply "vec4 effect(sampler2D tex, vec2 uv)"
+    _getCustomPostSource(effect) {
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+        return `${this._getPostPrefix()}
+uniform sampler2D u_texture;
+uniform vec2 u_texelSize;
+uniform float u_time;
+
+${effect}
+
+void main() { ${suffix} = effect(u_texture, v_texCoord); }`;
+    }
+
+    _getParticleVertSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+precision highp sampler2D;
+in vec2 a_particleUV;
+in float a_end;
+out vec4 v_color;
+#define texture2D texture
+` : `precision highp float;
+attribute vec2 a_particleUV;
+attribute float a_end;
+varying vec4 v_color;
+`;
+
+        return `${prefix}
+uniform sampler2D u_particleData;
+uniform sampler2D u_particleLife;
+uniform sampler2D u_dye;
+uniform bool u_useLife;
+uniform int u_colorSource;
+uniform float u_pointSize;
+uniform float u_sizeAttenuation;
+uniform float u_streakLength;
+
+${this._getPaletteSource()}
+
+void main() {
+    vec4 data = texture2D(u_particleData, a_particleUV);
+    vec2 pos = data.xy;
+    vec2 vel = data.zw;
+
+    // Fade in after spawn and out before death
+    float ageRatio = 0.0;
+    float fade = 1.0;
+    if (u_useLife) {
+        vec2 life = texture2D(u_particleLife, a_particleUV).xy;
+        ageRatio = clamp(life.x / max(life.y, 0.0001), 0.0, 1.0);
+        fade = smoothstep(0.0, 0.1, ageRatio) * (1.0 - smoothstep(0.7, 1.0, ageRatio));
+    }
+
+    // Streak tails trail behind along the velocity (a_end = 1)
+    gl_PointSize = max(1.0, u_pointSize * (1.0 - u_sizeAttenuation * ageRatio));
+    gl_Position = vec4(pos - vel * u_streakLength * a_end, 0.0, 1.0);
+
+    float speed = length(vel);
+    float x = clamp(speed * 4.0, 0.0, 1.0);
+    vec3 color;
+    if (u_colorSource == 1) color = getColor(x);
+    else if (u_colorSource == 2) color = texture2D(u_dye, (pos + 1.0) * 0.5).rgb * 1.5 + 0.03;
+    else color = mix(vec3(0.134, 0.0, 0.117), vec3(0.0, 0.478, 1.0), x) + vec3(0.631, 0.925, 1.0) * x * x * x * 0.1;
+
+    v_color = vec4(color, fade * (1.0 - a_end));
+}`;
+    }
+
+    _getParticleFragSource() {
+        if (this.isWebGL2) {
+            return `#version 300 es
+precision highp float;
+in vec4 v_color;
+out vec4 fragColor;
+void main() { fragColor = v_color; }`;
+        }
+        return `precision highp float;
+varying vec4 v_color;
+void main() { gl_FragColor = v_color; }`;
+    }
+
+    _getParticleUpdateSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+#define MAX_EMITTERS 8
+
+uniform sampler2D u_particleData;
+uniform sampler2D u_velocity;
+uniform sampler2D u_particleLife;
+uniform float u_dt;
+uniform vec2 u_flowScale;
+uniform float u_drag;
+uniform float u_speed;
+uniform bool u_useLife;
+uniform float u_time;
+uniform vec3 u_emitters[MAX_EMITTERS];
+uniform int u_emitterCount;
+uniform float u_aspectRatio;
+
+${this._getHashSource()}
+
+void main() {
+    vec4 data = texture2D(u_particleData, v_texCoord);
+    vec2 pos = data.xy;
+    vec2 vel = data.zw;
+    
+    vec2 texCoord = (pos + 1.0) * 0.5;
+    vec2 flowVel = texture2D(u_velocity, texCoord).xy * u_flowScale;
+    
+    vel += (flowVel - vel) * u_drag;
+    pos += u_dt * vel * u_speed;
+    
+    if (!u_useLife) {
+        // Wrap
+        pos = mod(pos + 1.0, 2.0) - 1.0;
+    } else if (dot(texture2D(u_particleLife, v_texCoord).xy, vec2(1.0, -1.0)) + u_dt >= 0.0) {
+        // Respawn: inside a random emitter (clip-space center + radius), else anywhere
+        vec2 r = hash22(v_texCoord * 4096.0 + u_time);
+        if (u_emitterCount > 0) {
+            int pick = int(floor(r.x * float(u_emitterCount)));
+            vec3 e = u_emitters[0];
+            for (int i = 1; i < MAX_EMITTERS; i++) {
+                if (i == pick) e = u_emitters[i];
+            }
+            vec2 r2 = hash22(v_texCoord * 2048.0 + u_time + 17.0);
+            float angle = r2.x * 6.2831853;
+            float dist = sqrt(r2.y) * e.z;
+            pos = e.xy + vec2(cos(angle) / u_aspectRatio, sin(angle)) * dist;
+        } else {
+            pos = r * 2.0 - 1.0;
+        }
+        vel = vec2(0.0);
+    }
+    
+    ${suffix} = vec4(pos, vel);
+}`;
+    }
+
+    // Age (x) and lifetime (y); must make the same respawn decision as the update pass
+    _getParticleLifeSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+#define texture2D texture
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+uniform sampler2D u_particleLife;
+uniform float u_dt;
+uniform float u_time;
+uniform float u_lifetime;
+uniform bool u_init;
+
+${this._getHashSource()}
+
+void main() {
+    vec2 life = texture2D(u_particleLife, v_texCoord).xy;
+    vec2 r = hash22(v_texCoord * 4096.0 + u_time + 31.0);
+
+    if (u_init) {
+        // Stagger initial ages so particles don't all respawn together
+        life.y = u_lifetime * mix(0.5, 1.5, r.y);
+        life.x = r.x * life.y;
+    } else if (life.x + u_dt >= life.y) {
+        life = vec2(0.0, u_lifetime * mix(0.5, 1.5, r.y));
+    } else {
+        life.x += u_dt;
+    }
+
+    ${suffix} = vec4(life, 0.0, 1.0);
+}`;
+    }
+
+    // Sine-free hash: stable across GPUs, unlike fract(sin(...))
+    _getHashSource() {
+        return `vec2 hash22(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.xx + p3.yz) * p3.zy);
+}`;
+    }
+
+    _getParticleInitSource() {
+        const prefix = this.isWebGL2 ? `#version 300 es
+precision highp float;
+in vec2 v_texCoord;
+out vec4 fragColor;
+` : `precision highp float;
+varying vec2 v_texCoord;
+`;
+        const suffix = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
+
+        return `${prefix}
+uniform bool u_seeded;
+uniform float u_seed;
+
+${this._getHashSource()}
+
+void main() {
+    vec2 pos = v_texCoord * 2.0 - 1.0;
+    if (u_seeded) pos = hash22(v_texCoord * 4096.0 + u_seed) * 2.0 - 1.0;
+    ${suffix} = vec4(pos, 0.0, 0.0);
+}`;
+    }
+
+    // ========== COMPILATION ==========
+
+    _compileShader(source, type) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('Shader error:', gl.getShaderInfoLog(shader));
+            console.error('Source:', source);
+            gl.deleteShader(shader);
+            return null;
+        }
+        return shader;
+    }
+
+    _createProgram(vertSrc, fragSrc) {
+        const gl = this.gl;
+        const vert = this._compileShader(vertSrc, gl.VERTEX_SHADER);
+        const frag = this._compileShader(fragSrc, gl.FRAGMENT_SHADER);
+        if (!vert || !frag) return null;
+
+        const prog = gl.createProgram();
+        gl.attachShader(prog, vert);
+        gl.attachShader(prog, frag);
+        gl.linkProgram(prog);
+
+        // The linked program keeps its own copy; shader objects can go
+        gl.detachShader(prog, vert);
+        gl.detachShader(prog, frag);
+        gl.deleteShader(vert);
+        gl.deleteShader(frag);
+
+        if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+            console.error('Link error:', gl.getProgramInfoLog(prog));
+            return null;
+        }
+
+        prog.uniforms = {};
+        const numUniforms = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < numUniforms; i++) {
+            const info = gl.getActiveUniform(prog, i);
+            // Arrays are reported as "name[0]"; expose them by their base name
+            prog.uniforms[info.name.replace(/\[0\]$/, '')] = gl.getUniformLocation(prog, info.name);
+        }
+
+        prog.attributes = {};
+        const numAttribs = gl.getProgramParameter(prog, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < numAttribs; i++) {
+            const info = gl.getActiveAttrib(prog, i);
+            prog.attributes[info.name] = gl.getAttribLocation(prog, info.name);
+        }
+
+        return prog;
+    }
+
+    _initShaders() {
+        const vertSrc = this._getVertexSource();
+
+        this.programs = {
+            advect: this._createProgram(vertSrc, this._getAdvectSource()),
+            divergence: this._createProgram(vertSrc, this._getDivergenceSource()),
+            pressure: this._createProgram(vertSrc, this._getPressureSource()),
+            residual: this._createProgram(vertSrc, this._getResidualSource()),
+            restrict: this._createProgram(vertSrc, this._getRestrictSource()),
+            prolongate: this._createProgram(vertSrc, this._getProlongateSource()),
+            gradient: this._createProgram(vertSrc, this._getGradientSource()),
+            curl: this._createProgram(vertSrc, this._getCurlSource()),
+            vorticity: this._createProgram(vertSrc, this._getVorticitySource()),
+            force: this._createProgram(vertSrc, this._getForceSource()),
+            dye: this._createProgram(vertSrc, this._getDyeSource()),
+            splat: this._createProgram(vertSrc, this._getSplatSource()),
+            forceField: this._createProgram(vertSrc, this._getForceFieldSource()),
+            display: this._createProgram(vertSrc, this._getDisplaySource()),
+            background: this._createProgram(vertSrc, this._getBackgroundSource()),
+            dyeImage: this._createProgram(vertSrc, this._getDyeImageSource()),
+            particleRender: this._createProgram(this._getParticleVertSource(), this._getParticleFragSource()),
+            particleUpdate: this._createProgram(vertSrc, this._getParticleUpdateSource()),
+            particleInit: this._createProgram(vertSrc, this._getParticleInitSource()),
+            particleLife: this._createProgram(vertSrc, this._getParticleLifeSource()),
+            bloomPrefilter: this._createProgram(vertSrc, this._getBloomPrefilterSource()),
+            blur: this._createProgram(vertSrc, this._getBlurSource()),
+            sunrays: this._createProgram(vertSrc, this._getSunraysSource()),
+            composite: this._createProgram(vertSrc, this._getCompositeSource()),
+        };
+    }
+
+    // ========== BUFFERS ==========
+
+    _initBuffers() {
+        const gl = this.gl;
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    }
+
+    // keepState: carry the current particles over (quality steps); only added ones spawn
+    _initParticleBuffers({ keepState = false } = {}) {
+        const gl = this.gl;
+        const count = this.qualityPresets[this.qualityLevels.particles].particles;
+
+        const previousSize = this.particleDataSize;
+        const previous = keepState ? this.particleData?.[this.particleReadIdx] : null;
+        const dataSize = Math.ceil(Math.sqrt(count));
+        this.particleDataSize = dataSize;
+        this.particleCount = dataSize * dataSize;
+
+        const uvs = new Float32Array(this.particleCount * 2);
+        for (let i = 0; i < dataSize; i++) {
+            for (let j = 0; j < dataSize; j++) {
+                const idx = (i * dataSize + j) * 2;
+                uvs[idx] = (j + 0.5) / dataSize;
+                uvs[idx + 1] = (i + 0.5) / dataSize;
+            }
+        }
+
+        if (this.particleUVBuffer) gl.deleteBuffer(this.particleUVBuffer);
+        this.particleUVBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleUVBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, uvs, gl.STATIC_DRAW);
+
+        // Streak lines: head (a_end = 0) and tail (a_end = 1) vertex per particle, built on demand
+        if (this.particleLineBuffer) gl.deleteBuffer(this.particleLineBuffer);
+        this.particleLineBuffer = null;
+
+        if (this.particleData) this.particleData.forEach(t => t !== previous && this._deleteRenderTarget(t));
+        this._deleteParticleLife();
+
+        this.particleData = [
+            this._createRenderTarget(dataSize, dataSize, true),
+            this._createRenderTarget(dataSize, dataSize, true),
+        ];
+        this.particleReadIdx = 0;
+        if (!previous) {
+            this._initParticles();
+            return;
+        }
+
+        // Scatter first so added particles don't land on the init grid's edge rows, then
+        // copy the old block over the shared corner (a shrink keeps every texel it still has)
+        this._initParticles(true);
+        const kept = Math.min(previousSize, dataSize);
+        this._copyTarget(previous, this.particleData[0], kept, kept, kept / previousSize);
+        this._deleteRenderTarget(previous);
+    }
+
+    // Particle state needs real float targets; packed-RGBA8 fields run without particles
+    _particlesEnabled() {
+        return this.settings.particles && !this.fieldFormat.packed;
+    }
+
+    _initParticleLines() {
+        const gl = this.gl;
+        const verts = new Float32Array(this.particleCount * 6);
+        for (let i = 0; i < this.particleCount; i++) {
+            const u = (i % this.particleDataSize + 0.5) / this.particleDataSize;
+            const v = (Math.floor(i / this.particleDataSize) + 0.5) / this.particleDataSize;
+            verts.set([u, v, 0, u, v, 1], i * 6);
+        }
+        this.particleLineBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleLineBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+    }
+
+    // Age/lifetime state only exists while particleLifetime > 0
+    _initParticleLife() {
+        if (!this.particleLife) {
+            this.particleLife = [
+                this._createRenderTarget(this.particleDataSize, this.particleDataSize, true),
+                this._createRenderTarget(this.particleDataSize, this.particleDataSize, true),
+            ];
+            this.particleLifeIdx = 0;
+        }
+        this._runParticleLife(0, true);
+        this.particleLifetimeApplied = this.settings.particleLifetime;
+    }
+
+    _deleteParticleLife() {
+        if (this.particleLife) this.particleLife.forEach(t => this._deleteRenderTarget(t));
+        this.particleLife = null;
+        this.particleLifetimeApplied = 0;
+    }
+
+    _runParticleLife(dt, init = false) {
+        const gl = this.gl;
+        const prog = this.programs.particleLife;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, this.particleDataSize, this.particleDataSize);
+
+        const writeIdx = 1 - this.particleLifeIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.particleLife[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.particleLife[this.particleLifeIdx].texture);
+        gl.uniform1i(prog.uniforms.u_particleLife, 0);
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform1f(prog.uniforms.u_time, this.simTime % 1000);
+        gl.uniform1f(prog.uniforms.u_lifetime, this.settings.particleLifetime);
+        gl.uniform1i(prog.uniforms.u_init, init ? 1 : 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.particleLifeIdx = writeIdx;
+    }
+
+    // Respawn areas in clip space (x, y, radius): active pointers or configured emitters
+    _packEmitters() {
+        const out = this.particleEmitterData;
+        let count = 0;
+        if (this.settings.particleSpawn === 'pointer') {
+            for (let i = 0; i < this.activePointerCount && count < 8; i++, count++) {
+                out[count * 3] = this.pointerPositions[i * 2];
+                out[count * 3 + 1] = this.pointerPositions[i * 2 + 1];
+                out[count * 3 + 2] = 0.05;
+            }
+        } else if (this.settings.particleSpawn === 'emitters') {
+            for (const e of this.settings.particleEmitters) {
+                if (count >= 8) break;
+                out[count * 3] = e.x * 2 - 1;
+                out[count * 3 + 1] = 1 - e.y * 2;
+                out[count * 3 + 2] = (e.radius ?? 0.025) * 2;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // scatter: random positions even without a seed (the unseeded layout is a regular grid)
+    _initParticles(scatter = false) {
+        const gl = this.gl;
+        const prog = this.programs.particleInit;
+
+        gl.useProgram(prog);
+        gl.viewport(0, 0, this.particleDataSize, this.particleDataSize);
+
+        gl.uniform1i(prog.uniforms.u_seeded, scatter || this.seed !== null ? 1 : 0);
+        gl.uniform1f(prog.uniforms.u_seed, ((this.seed ?? 0) + (scatter ? this.particleDataSize : 0)) % 65536);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        for (let i = 0; i < 2; i++) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.particleData[i].fbo);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        }
+
+        if (this.particleLife) this._initParticleLife();
+    }
+
+    // ========== FRAMEBUFFERS ==========
+
+    // isFloat: a field target in fieldFormat. Otherwise `format` (a float rung) or RGBA8
+    _createRenderTarget(w, h, isFloat = false, linear = false, format = null) {
+        const gl = this.gl;
+        const filter = linear ? gl.LINEAR : gl.NEAREST;
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const f = isFloat ? this.fieldFormat : format;
+        if (f) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, f.internalFormat, w, h, 0, gl.RGBA, f.type, null);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+
+        const target = { texture: tex, fbo, width: w, height: h };
+        // Packed fields start at the fixed-point midpoint; all-zero bytes would decode to -range
+        if (isFloat && this.fieldFormat.packed) this._clearField(target);
+        return target;
+    }
+
+    // Clears a field target to zero: the fixed-point midpoint of x and y when packed
+    _clearField(target) {
+        const gl = this.gl;
+        const mid = 128 / 255;
+        if (this.fieldFormat.packed) gl.clearColor(mid, 0, mid, 0);
+        else gl.clearColor(0, 0, 0, 1);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    // Nearest-texel copy of `source` into the lower-left w×h texels of `target`. Source UVs are
+    // scaled by uvScale; with the defaults the whole source is resampled onto the whole target.
+    // Reuses the background program (texture lookup, no fit offset here)
+    _copyTarget(source, target, w = target.width, h = target.height, uvScale = 1) {
+        const gl = this.gl;
+        const prog = this.programs.background;
+        gl.useProgram(prog);
+        this._bindTexture(prog, 'u_texture', source.texture, 0);
+        gl.uniform2f(prog.uniforms.u_uvScale, uvScale, uvScale);
+        gl.uniform2f(prog.uniforms.u_uvOffset, 0, 0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.viewport(0, 0, w, h);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _createDoubleFBO(w, h, isFloat = false) {
+        return [this._createRenderTarget(w, h, isFloat), this._createRenderTarget(w, h, isFloat)];
+    }
+
+    _deleteRenderTarget(target) {
+        if (!target) return;
+        this.gl.deleteTexture(target.texture);
+        this.gl.deleteFramebuffer(target.fbo);
+    }
+
+    _deleteFramebuffers() {
+        [this.velocityFBO, this.pressureFBO, this.dyeFBO].forEach(arr => {
+            if (arr) arr.forEach(t => this._deleteRenderTarget(t));
+        });
+        this._deleteRenderTarget(this.divergenceFBO);
+        this._deleteRenderTarget(this.curlFBO);
+        this._deleteRenderTarget(this.obstacleFBO);
+        this._deleteMultigrid();
+    }
+
+    // Restriction/prolongation pyramid, built on first multigrid solve
+    _initMultigrid() {
+        this._deleteMultigrid();
+
+        let w = this.simWidth;
+        let h = this.simHeight;
+        this.mgResidual = this._createRenderTarget(w, h, true);
+        this.mgLevels = [];
+
+        while (this.mgLevels.length < 5) {
+            w = Math.ceil(w / 2);
+            h = Math.ceil(h / 2);
+            if (Math.min(w, h) < 8) break;
+            this.mgLevels.push({
+                width: w,
+                height: h,
+                field: this._createDoubleFBO(w, h, true),
+                idx: 0,
+                rhs: this._createRenderTarget(w, h, true),
+                residual: this._createRenderTarget(w, h, true),
+            });
+        }
+    }
+
+    _deleteMultigrid() {
+        if (!this.mgLevels) return;
+        this._deleteRenderTarget(this.mgResidual);
+        this.mgLevels.forEach(lv => {
+            lv.field.forEach(t => this._deleteRenderTarget(t));
+            this._deleteRenderTarget(lv.rhs);
+            this._deleteRenderTarget(lv.residual);
+        });
+        this.mgLevels = null;
+        this.mgResidual = null;
+    }
+
+    // keepState: resample the running velocity, pressure and dye into the new grid instead
+    // of starting empty, so a quality step doesn't wipe the simulation. Velocity is in sim-space
+    // units (cellSize), so values carry over unchanged at any resolution
+    _initFramebuffers({ keepState = false } = {}) {
+        const scale = this.qualityPresets[this.qualityLevels.scale].scale;
+        const { width, height } = this._getViewportSize();
+
+        this.simWidth = Math.max(32, Math.round(width * scale));
+        this.simHeight = Math.max(32, Math.round(height * scale));
+        this.aspectRatio = this.simWidth / this.simHeight;
+
+        const kept = keepState && this.velocityFBO
+            ? [[this.velocityFBO, this.velIdx], [this.pressureFBO, this.pressIdx], [this.dyeFBO, this.dyeIdx]]
+            : null;
+        if (kept) this.velocityFBO = this.pressureFBO = this.dyeFBO = null;
+        this._deleteFramebuffers();
+
+        this.velocityFBO = this._createDoubleFBO(this.simWidth, this.simHeight, true);
+        this.pressureFBO = this._createDoubleFBO(this.simWidth, this.simHeight, true);
+        this.divergenceFBO = this._createRenderTarget(this.simWidth, this.simHeight, true);
+        this.curlFBO = this._createRenderTarget(this.simWidth, this.simHeight, true);
+        this.dyeFBO = this._createDoubleFBO(this.simWidth, this.simHeight, false);
+        this.obstacleFBO = this._createRenderTarget(this.simWidth, this.simHeight, false);
+        this.hasObstacles = false;
+
+        this.velIdx = 0;
+        this.pressIdx = 0;
+        this.dyeIdx = 0;
+
+        if (kept) {
+            [this.velocityFBO, this.pressureFBO, this.dyeFBO].forEach((fbo, i) => {
+                const [previous, idx] = kept[i];
+                this._copyTarget(previous[idx], fbo[0]);
+                previous.forEach(t => this._deleteRenderTarget(t));
+            });
+        }
+
+        this._initParticleBuffers({ keepState });
+
+        // DOM rects and image stretch depend on the grid size; re-rasterize. Nobody awaits this
+        // one, so a decode or cross-origin failure is reported rather than left unhandled
+        if (this.obstacleSources) {
+            this._rasterizeObstacles().catch(e => {
+                console.error('🌊 DAEMON Fluid Engine: obstacles could not be re-rasterized:', e);
+                this._emit('error', { message: `Obstacles could not be re-rasterized: ${e.message}`, error: e });
+            });
+        }
+    }
+
+    // ========== PALETTES ==========
+
+    _initPalettes() {
+        this.paletteTexture = this.gl.createTexture();
+        const builtins = this._getBuiltinPalettes();
+        Object.keys(builtins).forEach(name => this._addPalette(name, builtins[name]));
+        this._uploadPalettes();
+    }
+
+    _uploadPalettes() {
+        const gl = this.gl;
+        const size = this.paletteLutSize;
+        const rows = this.palettes.length;
+        const data = new Uint8Array(size * rows * 4);
+
+        this.palettes.forEach((palette, row) => {
+            for (let i = 0; i < size; i++) {
+                const rgb = palette.sample(i / (size - 1));
+                const o = (row * size + i) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[o + c] = Math.round(Math.max(0, Math.min(2, rgb[c])) * 127.5);
+                }
+                data[o + 3] = 255;
+            }
+        });
+
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    }
+
+    _bindPalette(prog, unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.uniform1i(prog.uniforms.u_palette, unit);
+        gl.uniform1f(prog.uniforms.u_paletteRow, (this.settings.colorMode + 0.5) / this.palettes.length);
+    }
+
+    // ========== EVENTS ==========
+
+    // Pack every pressed pointer's segment into the uniform arrays
+    _packPointers() {
+        let count = 0;
+        for (const p of this.pointers) {
+            if (!p.isDown) continue;
+            this.pointerPositions[count * 2] = p.x;
+            this.pointerPositions[count * 2 + 1] = p.y;
+            this.lastPointerPositions[count * 2] = p.lastX;
+            this.lastPointerPositions[count * 2 + 1] = p.lastY;
+            count++;
+        }
+        this.activePointerCount = count;
+    }
+
+    _resize() {
+        const { width, height } = this._getViewportSize();
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const scale = this.qualityPresets[this.qualityLevels.scale].scale;
+        const newW = Math.max(32, Math.round(width * scale));
+        const newH = Math.max(32, Math.round(height * scale));
+
+        if (newW !== this.simWidth || newH !== this.simHeight) {
+            this._initFramebuffers();
+        }
+    }
+
+    // ========== OBSTACLES ==========
+
+    // Sources: image/canvas/bitmap (stretched over the canvas, alpha = solid),
+    // DOM elements or selectors (their rects), SVG elements (drawn by shape),
+    // or { x, y, width, height } rects normalized to the canvas
+    async _rasterizeObstacles() {
+        const sources = this.obstacleSources;
+        const w = this.simWidth;
+        const h = this.simHeight;
+
+        if (!this.obstacleCanvas) this.obstacleCanvas = this._createCanvas(w, h);
+        const canvas = this.obstacleCanvas;
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#fff';
+
+        // DOM elements only exist on the main thread; the worker proxy sends plain rects
+        const bounds = this.canvas.getBoundingClientRect ? this.canvas.getBoundingClientRect() : null;
+        const pad = this.obstaclePadding;
+        const toGrid = r => ({
+            x: (r.left - pad - bounds.left) / bounds.width * w,
+            y: (r.top - pad - bounds.top) / bounds.height * h,
+            w: (r.width + pad * 2) / bounds.width * w,
+            h: (r.height + pad * 2) / bounds.height * h,
+        });
+
+        for (const source of this._expandObstacleSources(sources)) {
+            if (this._isImageSource(source)) {
+                ctx.drawImage(source, 0, 0, w, h);
+            } else if (this._isDomSource(source, 'SVGElement')) {
+                const svg = source.ownerSVGElement || source;
+                const img = await this._loadSvgImage(svg);
+                const r = toGrid(svg.getBoundingClientRect());
+                if (img) ctx.drawImage(img, r.x, r.y, r.w, r.h);
+            } else if (this._isDomSource(source, 'Element')) {
+                const r = toGrid(source.getBoundingClientRect());
+                ctx.fillRect(r.x, r.y, r.w, r.h);
+            } else {
+                ctx.fillRect(source.x * w, source.y * h, source.width * w, source.height * h);
+            }
+        }
+
+        // Superseded by another setObstacles()/resize while an SVG was loading
+        if (this.destroyed || sources !== this.obstacleSources || canvas.width !== this.simWidth) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.obstacleFBO.texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        this.hasObstacles = true;
+    }
+
+    _bindObstacles(prog, unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.obstacleFBO.texture);
+        gl.uniform1i(prog.uniforms.u_obstacles, unit);
+        gl.uniform1i(prog.uniforms.u_useObstacles, this.hasObstacles ? 1 : 0);
+    }
+
+    // ========== SIMULATION ==========
+
+    _step(dt, withPointers = true) {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.simWidth, this.simHeight);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+
+        this._processReplay();
+        this._packPointers();
+        if (!withPointers) this.activePointerCount = 0;
+
+        this._stage('advect', dt, () => this._advect(this.velocityFBO, 'velIdx', dt, this.settings.velocityDissipation));
+        this._stage('forces', dt, () => this._applyForces(dt));
+        this._stage('forceFields', dt, () => this._applyForceFields(dt));
+        this._stage('splats', dt, () => this._applySplats());
+        this._stage('vorticity', dt, () => this._applyVorticity(dt));
+        this._stage('divergence', dt, () => this._computeDivergence());
+        this._stage('pressure', dt, () => this._solvePressure());
+        this._stage('gradient', dt, () => this._subtractGradient());
+        this._stage('dye', dt, () => this._updateDye(dt));
+        this._stage('advectDye', dt, () => this._advect(this.dyeFBO, 'dyeIdx', dt, this.settings.dyeDecay));
+        if (this._particlesEnabled()) this._stage('particles', dt, () => this._updateParticles(dt));
+
+        for (const p of this.pointers) {
+            p.lastX = p.x;
+            p.lastY = p.y;
+            p.dx = 0;
+            p.dy = 0;
+            p.moved = false;
+        }
+
+        this.stepCount++;
+        this.simTime += dt;
+    }
+
+    // One pipeline stage between its 'before:<name>' / 'after:<name>' hooks. Hooks may draw
+    // (into engine.velocityFBO etc.); the viewport and quad buffer the stages rely on are restored
+    _stage(name, dt, run) {
+        if (this._hasHandlers(`before:${name}`)) {
+            this._emit(`before:${name}`, { stage: name, dt });
+            this._restoreStageState(false);
+        }
+        run();
+        if (this._hasHandlers(`after:${name}`)) {
+            this._emit(`after:${name}`, { stage: name, dt });
+            this._restoreStageState(false);
+        }
+    }
+
+    // Render-side stages hand hooks the target being drawn (null = canvas)
+    _renderStage(name, target, run) {
+        if (this._hasHandlers(`before:${name}`)) {
+            this._emit(`before:${name}`, { stage: name, target });
+            this._restoreStageState(true, target);
+        }
+        run();
+        if (this._hasHandlers(`after:${name}`)) {
+            this._emit(`after:${name}`, { stage: name, target });
+            this._restoreStageState(true, target);
+        }
+    }
+
+    _restoreStageState(rendering, target) {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        if (rendering) {
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+            gl.enable(gl.BLEND);
+            gl.blendEquation(gl.FUNC_ADD);
+        } else {
+            gl.viewport(0, 0, this.simWidth, this.simHeight);
+            gl.disable(gl.BLEND);
+        }
+    }
+
+    _advect(target, idxName, dt, dissipation) {
+        const gl = this.gl;
+        const prog = this.programs.advect;
+        gl.useProgram(prog);
+
+        const readIdx = this[idxName];
+        const writeIdx = 1 - readIdx;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, target[readIdx].texture);
+        gl.uniform1i(prog.uniforms.u_target, 1);
+
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform1f(prog.uniforms.u_rdx, 1 / this.settings.cellSize);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
+        gl.uniform1f(prog.uniforms.u_dissipation, dissipation);
+        gl.uniform1i(prog.uniforms.u_targetIsField, target === this.velocityFBO ? 1 : 0);
+        this._bindObstacles(prog, 2);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this[idxName] = writeIdx;
+    }
+
+    _applyForces(dt) {
+        const gl = this.gl;
+        const prog = this.programs.force;
+        gl.useProgram(prog);
+
+        const writeIdx = 1 - this.velIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 0);
+
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform1f(prog.uniforms.u_dx, this.settings.cellSize);
+        gl.uniform2fv(prog.uniforms.u_pointers, this.pointerPositions);
+        gl.uniform2fv(prog.uniforms.u_lastPointers, this.lastPointerPositions);
+        gl.uniform1i(prog.uniforms.u_pointerCount, this.activePointerCount);
+        gl.uniform1f(prog.uniforms.u_radius, this.settings.forceRadius);
+        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.velIdx = writeIdx;
+    }
+
+    _applyForceFields(dt) {
+        if (this.forceFields.size === 0) return;
+        const gl = this.gl;
+        const prog = this.programs.forceField;
+        gl.useProgram(prog);
+
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const types = { radial: 0, vortex: 1, directional: 2 };
+        const cellSize = this.settings.cellSize;
+
+        this.forceFields.forEach(field => {
+            const writeIdx = 1 - this.velIdx;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+            gl.uniform1i(prog.uniforms.u_velocity, 0);
+
+            const c = this._toSimPos(field.x, field.y);
+            gl.uniform2f(prog.uniforms.u_center, c.x, c.y);
+            const len = Math.hypot(field.dx, field.dy) || 1;
+            gl.uniform2f(prog.uniforms.u_direction, field.dx / len, -field.dy / len);
+            gl.uniform1f(prog.uniforms.u_radius, field.radius);
+            gl.uniform1f(prog.uniforms.u_strength, field.strength * cellSize);
+            gl.uniform1i(prog.uniforms.u_type, types[field.type] ?? 0);
+
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            this.velIdx = writeIdx;
+        });
+    }
+
+    _applySplats() {
+        if (this.splatQueue.length === 0) return;
+        const gl = this.gl;
+        const prog = this.programs.splat;
+        gl.useProgram(prog);
+
+        this._bindPalette(prog, 1);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const cellSize = this.settings.cellSize;
+
+        for (const splat of this.splatQueue) {
+            const p = this._toSimPos(splat.x, splat.y);
+            gl.uniform2f(prog.uniforms.u_point, p.x, p.y);
+
+            // Velocity: normalized units/s -> sim units, y flipped to clip space
+            if (splat.dx !== 0 || splat.dy !== 0) {
+                gl.uniform1i(prog.uniforms.u_usePalette, 0);
+                gl.uniform3f(prog.uniforms.u_value,
+                    splat.dx * 2 * this.aspectRatio * cellSize,
+                    -splat.dy * 2 * cellSize,
+                    0
+                );
+                gl.uniform1f(prog.uniforms.u_radius, splat.radius ?? this.settings.forceRadius);
+                this._splatInto(this.velocityFBO, 'velIdx');
+            }
+
+            // Dye: explicit color, the dyeColor setting, or the active palette picked by splat speed
+            const intensity = this.settings.dyeIntensity;
+            const color = splat.color ?? (this.settings.dyeColor !== 'palette' ? this.settings.dyeColor : null);
+            if (color) {
+                const [r, g, b] = this._resolveDyeColor(color, 0);
+                gl.uniform1i(prog.uniforms.u_usePalette, 0);
+                gl.uniform3f(prog.uniforms.u_value, r * intensity, g * intensity, b * intensity);
+            } else {
+                gl.uniform1i(prog.uniforms.u_usePalette, 1);
+                gl.uniform3f(prog.uniforms.u_value, intensity, intensity, intensity);
+                gl.uniform1f(prog.uniforms.u_colorX, Math.min(1, 0.35 + Math.hypot(splat.dx, splat.dy)));
+            }
+            gl.uniform1f(prog.uniforms.u_radius, splat.radius ?? 0.03);
+            this._splatInto(this.dyeFBO, 'dyeIdx');
+        }
+
+        this.splatQueue.length = 0;
+    }
+
+    _splatInto(target, idxName) {
+        const gl = this.gl;
+        const prog = this.programs.splat;
+        const writeIdx = 1 - this[idxName];
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, target[this[idxName]].texture);
+        gl.uniform1i(prog.uniforms.u_target, 0);
+        gl.uniform1i(prog.uniforms.u_targetIsField, target === this.velocityFBO ? 1 : 0);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        this[idxName] = writeIdx;
+    }
+
+    // Normalized canvas coords (0..1, origin top-left) -> simulation space
+    _toSimPos(x, y) {
+        return { x: (x * 2 - 1) * this.aspectRatio, y: 1 - y * 2 };
+    }
+
+    _applyVorticity(dt) {
+        if (this.settings.vorticity <= 0) return;
+        const gl = this.gl;
+
+        // Curl pass
+        let prog = this.programs.curl;
+        gl.useProgram(prog);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.curlFBO.fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 0);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+        this._bindObstacles(prog, 1);
+
+        let posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        // Confinement force
+        prog = this.programs.vorticity;
+        gl.useProgram(prog);
+
+        const writeIdx = 1 - this.velIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.curlFBO.texture);
+        gl.uniform1i(prog.uniforms.u_curl, 1);
+
+        gl.uniform1f(prog.uniforms.u_curlStrength, this.settings.vorticity);
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+        this._bindObstacles(prog, 2);
+
+        posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.velIdx = writeIdx;
+    }
+
+    _computeDivergence() {
+        const gl = this.gl;
+        const prog = this.programs.divergence;
+        gl.useProgram(prog);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.divergenceFBO.fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 0);
+
+        gl.uniform1f(prog.uniforms.u_halfRdx, 0.5 / this.settings.cellSize);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+        this._bindObstacles(prog, 2);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _solvePressure() {
+        if (this.settings.solver === 'multigrid') {
+            this._solvePressureMultigrid();
+            return;
+        }
+        this.pressIdx = this._jacobi(
+            this.pressureFBO, this.pressIdx, this.divergenceFBO,
+            this.simWidth, this.simHeight, this.settings.cellSize, this._getSolverIterations()
+        );
+    }
+
+    // The solverIterations setting, scaled down by the quality governor
+    _getSolverIterations() {
+        const scale = this.iterationScales[this.qualityLevels.iterations];
+        return Math.max(4, Math.round(this.settings.solverIterations * scale));
+    }
+
+    // Jacobi relaxation of laplacian(p) = rhs on one grid; returns the new read index
+    _jacobi(field, idx, rhs, w, h, cell, iterations) {
+        const gl = this.gl;
+        const prog = this.programs.pressure;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, w, h);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, rhs.texture);
+        gl.uniform1i(prog.uniforms.u_divergence, 1);
+
+        gl.uniform1f(prog.uniforms.u_alpha, -cell * cell);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / w, 1 / h);
+        this._bindObstacles(prog, 2);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+
+        for (let i = 0; i < iterations; i++) {
+            const writeIdx = 1 - idx;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, field[writeIdx].fbo);
+
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, field[idx].texture);
+            gl.uniform1i(prog.uniforms.u_pressure, 0);
+
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            idx = writeIdx;
+        }
+        return idx;
+    }
+
+    _solvePressureMultigrid() {
+        if (!this.mgLevels) this._initMultigrid();
+
+        // Level 0 is the simulation grid itself, warm-started from last frame's pressure
+        const levels = [{
+            width: this.simWidth,
+            height: this.simHeight,
+            field: this.pressureFBO,
+            idx: this.pressIdx,
+            rhs: this.divergenceFBO,
+            residual: this.mgResidual,
+        }, ...this.mgLevels];
+
+        for (let i = 0; i < this.settings.multigridCycles; i++) this._vCycle(levels, 0);
+
+        this.pressIdx = levels[0].idx;
+        this.gl.viewport(0, 0, this.simWidth, this.simHeight);
+    }
+
+    _vCycle(levels, l) {
+        const gl = this.gl;
+        const lv = levels[l];
+        const cell = this.settings.cellSize * (1 << l);
+
+        if (l === levels.length - 1) {
+            lv.idx = this._jacobi(lv.field, lv.idx, lv.rhs, lv.width, lv.height, cell, 8);
+            return;
+        }
+
+        // Pre-smooth, then hand the residual down as the next level's right-hand side
+        lv.idx = this._jacobi(lv.field, lv.idx, lv.rhs, lv.width, lv.height, cell, 2);
+        this._computeResidual(lv, cell);
+
+        const next = levels[l + 1];
+        this._restrict(lv, next);
+        this._clearField(next.field[next.idx]);
+
+        this._vCycle(levels, l + 1);
+
+        // Add the coarse-grid correction and post-smooth
+        this._prolongate(next, lv);
+        lv.idx = this._jacobi(lv.field, lv.idx, lv.rhs, lv.width, lv.height, cell, 2);
+    }
+
+    _computeResidual(lv, cell) {
+        const gl = this.gl;
+        const prog = this.programs.residual;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, lv.width, lv.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, lv.residual.fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, lv.field[lv.idx].texture);
+        gl.uniform1i(prog.uniforms.u_pressure, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, lv.rhs.texture);
+        gl.uniform1i(prog.uniforms.u_divergence, 1);
+
+        gl.uniform1f(prog.uniforms.u_invH2, 1 / (cell * cell));
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / lv.width, 1 / lv.height);
+        this._bindObstacles(prog, 2);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _restrict(fine, coarse) {
+        const gl = this.gl;
+        const prog = this.programs.restrict;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, coarse.width, coarse.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, coarse.rhs.fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, fine.residual.texture);
+        gl.uniform1i(prog.uniforms.u_source, 0);
+        gl.uniform2f(prog.uniforms.u_fineInvRes, 1 / fine.width, 1 / fine.height);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _prolongate(coarse, fine) {
+        const gl = this.gl;
+        const prog = this.programs.prolongate;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, fine.width, fine.height);
+
+        const writeIdx = 1 - fine.idx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fine.field[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, fine.field[fine.idx].texture);
+        gl.uniform1i(prog.uniforms.u_fine, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, coarse.field[coarse.idx].texture);
+        gl.uniform1i(prog.uniforms.u_coarse, 1);
+        gl.uniform2f(prog.uniforms.u_coarseInvRes, 1 / coarse.width, 1 / coarse.height);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        fine.idx = writeIdx;
+    }
+
+    _subtractGradient() {
+        const gl = this.gl;
+        const prog = this.programs.gradient;
+        gl.useProgram(prog);
+
+        const writeIdx = 1 - this.velIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.pressureFBO[this.pressIdx].texture);
+        gl.uniform1i(prog.uniforms.u_pressure, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 1);
+
+        gl.uniform1f(prog.uniforms.u_halfRdx, 0.5 / this.settings.cellSize);
+        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+        gl.uniform1i(prog.uniforms.u_noSlip, this.settings.boundary === 'no-slip' ? 1 : 0);
+        this._bindObstacles(prog, 2);
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.velIdx = writeIdx;
+    }
+
+    _updateDye(dt) {
+        const gl = this.gl;
+        const prog = this.programs.dye;
+        gl.useProgram(prog);
+
+        const writeIdx = 1 - this.dyeIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.dyeFBO[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.dyeFBO[this.dyeIdx].texture);
+        gl.uniform1i(prog.uniforms.u_dye, 0);
+
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform2fv(prog.uniforms.u_pointers, this.pointerPositions);
+        gl.uniform2fv(prog.uniforms.u_lastPointers, this.lastPointerPositions);
+        gl.uniform1i(prog.uniforms.u_pointerCount, this.activePointerCount);
+        gl.uniform1f(prog.uniforms.u_radius, this.settings.forceRadius);
+        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
+        gl.uniform1f(prog.uniforms.u_intensity, this.settings.dyeIntensity);
+        gl.uniform1f(prog.uniforms.u_decay, this.settings.dyeDecay);
+        this._bindPalette(prog, 1);
+
+        const usePointerColors = this.settings.dyeColor !== 'palette';
+        gl.uniform1i(prog.uniforms.u_usePointerColors, usePointerColors ? 1 : 0);
+        if (usePointerColors) {
+            for (let i = 0; i < this.activePointerCount; i++) {
+                this.pointerColors.set(this._resolveDyeColor(this.settings.dyeColor, i), i * 3);
+            }
+            gl.uniform3fv(prog.uniforms.u_pointerColors, this.pointerColors);
+        }
+
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.dyeIdx = writeIdx;
+    }
+
+    _updateParticles(dt) {
+        const gl = this.gl;
+        const lifetime = this.settings.particleLifetime;
+        if (lifetime > 0 && lifetime !== this.particleLifetimeApplied) this._initParticleLife();
+        else if (lifetime <= 0 && this.particleLife) this._deleteParticleLife();
+
+        const prog = this.programs.particleUpdate;
+        gl.useProgram(prog);
+        gl.viewport(0, 0, this.particleDataSize, this.particleDataSize);
+
+        const writeIdx = 1 - this.particleReadIdx;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.particleData[writeIdx].fbo);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.particleData[this.particleReadIdx].texture);
+        gl.uniform1i(prog.uniforms.u_particleData, 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
+        gl.uniform1i(prog.uniforms.u_velocity, 1);
+
+        gl.uniform1f(prog.uniforms.u_dt, dt);
+        gl.uniform2f(prog.uniforms.u_flowScale,
+            1 / (this.settings.cellSize * this.aspectRatio),
+            1 / this.settings.cellSize
+        );
+        gl.uniform1f(prog.uniforms.u_drag, 1.0);
+        gl.uniform1f(prog.uniforms.u_speed, this.settings.particleSpeed);
+
+        // Respawn decisions read the age from before this step; the life pass advances it afterwards
+        const useLife = !!this.particleLife;
+        gl.uniform1i(prog.uniforms.u_useLife, useLife ? 1 : 0);
+        if (useLife) {
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, this.particleLife[this.particleLifeIdx].texture);
+            gl.uniform1i(prog.uniforms.u_particleLife, 2);
+            gl.uniform1f(prog.uniforms.u_time, this.simTime % 1000);
+            gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
+            gl.uniform3fv(prog.uniforms.u_emitters, this.particleEmitterData);
+            gl.uniform1i(prog.uniforms.u_emitterCount, this._packEmitters());
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        this.particleReadIdx = writeIdx;
+        if (useLife) this._runParticleLife(dt);
+    }
+
+    // ========== RENDER ==========
+
+    _render() {
+        // Straight to the screen unless a post effect needs the scene as a texture
+        const post = this._isPostEnabled();
+        if (post) this._initPostTargets();
+
+        this._renderScene(post ? this.postFBO[this.postIdx] : null);
+        if (post) this._renderStage('postProcess', null, () => this._postProcess());
+        this.gl.disable(this.gl.BLEND);
+    }
+
+    _renderScene(target) {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+        const [r, g, b, a] = this._getBackgroundColor();
+        gl.clearColor(r * a, g * a, b * a, a);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        gl.enable(gl.BLEND);
+        gl.blendEquation(gl.FUNC_ADD);
+
+        if (this.backgroundTexture) {
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            this._renderBackground(target);
+        }
+
+        // Transparent mode keeps the output premultiplied so the page composites it correctly.
+        // Opaque: streaks add up along their length; points keep the original blend
+        if (this._particlesEnabled()) {
+            this._renderStage('renderParticles', target, () => {
+                if (this.transparent) gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE, gl.SRC_ALPHA, gl.ONE);
+                else if (this.settings.particleStreaks) gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+                else gl.blendFunc(gl.SRC_ALPHA, gl.SRC_ALPHA);
+                this._renderParticles();
+            });
+        }
+        this._renderStage('renderDye', target, () => {
+            if (this.transparent) gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            else gl.blendFunc(gl.SRC_ALPHA, gl.SRC_ALPHA);
+            this._renderDye();
+        });
+
+        gl.disable(gl.BLEND);
+    }
+
+    _renderParticles() {
+        const gl = this.gl;
+        const prog = this.programs.particleRender;
+        gl.useProgram(prog);
+
+        const s = this.settings;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.particleData[this.particleReadIdx].texture);
+        gl.uniform1i(prog.uniforms.u_particleData, 0);
+
+        this._bindPalette(prog, 1);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.dyeFBO[this.dyeIdx].texture);
+        gl.uniform1i(prog.uniforms.u_dye, 2);
+
+        gl.uniform1i(prog.uniforms.u_useLife, this.particleLife ? 1 : 0);
+        if (this.particleLife) {
+            gl.activeTexture(gl.TEXTURE3);
+            gl.bindTexture(gl.TEXTURE_2D, this.particleLife[this.particleLifeIdx].texture);
+            gl.uniform1i(prog.uniforms.u_particleLife, 3);
+        }
+
+        gl.uniform1i(prog.uniforms.u_colorSource, ['fixed', 'speed', 'dye'].indexOf(s.particleColor));
+        gl.uniform1f(prog.uniforms.u_pointSize, s.particleSize);
+        gl.uniform1f(prog.uniforms.u_sizeAttenuation, s.particleSizeAttenuation);
+        gl.uniform1f(prog.uniforms.u_streakLength, s.particleStreakLength * s.particleSpeed);
+
+        const uvLoc = prog.attributes.a_particleUV;
+        const endLoc = prog.attributes.a_end;
+        gl.enableVertexAttribArray(uvLoc);
+
+        if (s.particleStreaks) {
+            if (!this.particleLineBuffer) this._initParticleLines();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.particleLineBuffer);
+            gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, 12, 0);
+            gl.enableVertexAttribArray(endLoc);
+            gl.vertexAttribPointer(endLoc, 1, gl.FLOAT, false, 12, 8);
+            gl.drawArrays(gl.LINES, 0, this.particleCount * 2);
+            gl.disableVertexAttribArray(endLoc);
+        } else {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.particleUVBuffer);
+            gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, 0, 0);
+            gl.vertexAttrib1f(endLoc, 0);
+            gl.drawArrays(gl.POINTS, 0, this.particleCount);
+        }
+    }
+
+    _renderDye() {
+        const gl = this.gl;
+        const prog = this.programs.display;
+        gl.useProgram(prog);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.dyeFBO[this.dyeIdx].texture);
+        gl.uniform1i(prog.uniforms.u_texture, 0);
+        gl.uniform1i(prog.uniforms.u_transparent, this.transparent ? 1 : 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _renderBackground(target) {
+        const gl = this.gl;
+        const prog = this.programs.background;
+        gl.useProgram(prog);
+        this._bindTexture(prog, 'u_texture', this.backgroundTexture, 0);
+
+        this._setFitUniforms(prog, this.backgroundImage, this.backgroundFit);
+        this._drawQuad(prog, target);
+    }
+
+    // Map screen UV to image UV by aspect ratio: cover crops, contain letterboxes, stretch fills
+    _setFitUniforms(prog, img, fit) {
+        const imgAspect = (img.videoWidth || img.naturalWidth || img.width) / (img.videoHeight || img.naturalHeight || img.height);
+        const ratio = this.aspectRatio / (imgAspect || 1);
+        let sx = 1, sy = 1;
+        if (fit === 'cover') {
+            if (ratio > 1) sy = 1 / ratio; else sx = ratio;
+        } else if (fit === 'contain') {
+            if (ratio > 1) sx = ratio; else sy = 1 / ratio;
+        }
+        this.gl.uniform2f(prog.uniforms.u_uvScale, sx, sy);
+        this.gl.uniform2f(prog.uniforms.u_uvOffset, (1 - sx) / 2, (1 - sy) / 2);
+    }
+
+    // URL strings are loaded; anything else must already be an image source
+    async _loadImageSource(source, caller) {
+        if (typeof source === 'string' && typeof Image === 'undefined') {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`${caller}: could not load ${source}`);
+            return this._orientBitmap(await response.blob());
+        }
+        if (typeof source === 'string') {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.src = source;
+            await img.decode();
+            return img;
+        }
+        if (!this._isImageSource(source)) throw new Error(`${caller} expects a URL or an image source`);
+        return this._isDomSource(source, 'ImageBitmap') ? this._orientBitmap(source) : source;
+    }
+
+    // WebGL ignores UNPACK_FLIP_Y_WEBGL and UNPACK_PREMULTIPLY_ALPHA_WEBGL for ImageBitmap sources,
+    // and in worker mode every image arrives as one: bake both into the bitmap instead
+    _orientBitmap(source) {
+        return createImageBitmap(source, { imageOrientation: 'flipY', premultiplyAlpha: 'premultiply' });
+    }
+
+    _uploadImageTexture(tex, source, premultiply) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, premultiply);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    // ========== POST-PROCESSING ==========
+
+    _isPostEnabled() {
+        const s = this.settings;
+        return s.bloom || s.sunrays || s.dithering || s.toneMapping !== 'none' || s.exposure !== 1
+            || this.postPasses.some(p => p.enabled);
+    }
+
+    // Scene ping-pong at canvas size, bloom pyramid from half size down, sunrays at half size
+    _initPostTargets() {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const levels = this.settings.bloomIterations;
+        if (this.postFBO && this.postWidth === w && this.postHeight === h && this.postLevels === levels) return;
+
+        this._deletePostTargets();
+        this.postWidth = w;
+        this.postHeight = h;
+        this.postLevels = levels;
+
+        const format = this.postFormat;
+        this.postFBO = [this._createRenderTarget(w, h, false, true, format), this._createRenderTarget(w, h, false, true, format)];
+        this.postIdx = 0;
+
+        this.bloomFBOs = [];
+        let bw = w >> 1;
+        let bh = h >> 1;
+        for (let i = 0; i < levels && bw >= 2 && bh >= 2; i++) {
+            this.bloomFBOs.push(this._createRenderTarget(bw, bh, false, true, format));
+            bw >>= 1;
+            bh >>= 1;
+        }
+        this.sunraysFBO = this._createRenderTarget(Math.max(1, w >> 1), Math.max(1, h >> 1), false, true, format);
+    }
+
+    _deletePostTargets() {
+        if (!this.postFBO) return;
+        this.postFBO.forEach(t => this._deleteRenderTarget(t));
+        this.bloomFBOs.forEach(t => this._deleteRenderTarget(t));
+        this._deleteRenderTarget(this.sunraysFBO);
+        this.postFBO = null;
+        this.bloomFBOs = [];
+        this.sunraysFBO = null;
+    }
+
+    _drawQuad(prog, target) {
+        const gl = this.gl;
+        if (target) {
+            gl.viewport(0, 0, target.width, target.height);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        } else {
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = prog.attributes.a_position;
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    _bindTexture(prog, name, texture, unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(prog.uniforms[name], unit);
+    }
+
+    _postProcess() {
+        const gl = this.gl;
+        const s = this.settings;
+
+        // Custom passes transform the scene color in order
+        for (const pass of this.postPasses) {
+            if (!pass.enabled || !pass.program) continue;
+            const prog = pass.program;
+            gl.useProgram(prog);
+            this._bindTexture(prog, 'u_texture', this.postFBO[this.postIdx].texture, 0);
+            gl.uniform2f(prog.uniforms.u_texelSize, 1 / this.postWidth, 1 / this.postHeight);
+            gl.uniform1f(prog.uniforms.u_time, this.simTime);
+            if (pass.uniforms) pass.uniforms(gl, prog, this);
+            this._drawQuad(prog, this.postFBO[1 - this.postIdx]);
+            this.postIdx = 1 - this.postIdx;
+        }
+
+        const scene = this.postFBO[this.postIdx];
+        const useBloom = s.bloom && this.bloomFBOs.length > 0;
+        if (useBloom) this._applyBloom(scene);
+        if (s.sunrays) this._applySunrays(scene);
+
+        const prog = this.programs.composite;
+        gl.useProgram(prog);
+        this._bindTexture(prog, 'u_texture', scene.texture, 0);
+        this._bindTexture(prog, 'u_bloom', useBloom ? this.bloomFBOs[0].texture : scene.texture, 1);
+        this._bindTexture(prog, 'u_sunrays', s.sunrays ? this.sunraysFBO.texture : scene.texture, 2);
+        gl.uniform1i(prog.uniforms.u_useBloom, useBloom ? 1 : 0);
+        gl.uniform1i(prog.uniforms.u_useSunrays, s.sunrays ? 1 : 0);
+        gl.uniform1i(prog.uniforms.u_dither, s.dithering ? 1 : 0);
+        gl.uniform1i(prog.uniforms.u_toneMapping, { aces: 1, filmic: 2 }[s.toneMapping] ?? 0);
+        gl.uniform1f(prog.uniforms.u_bloomIntensity, s.bloomIntensity);
+        gl.uniform1f(prog.uniforms.u_exposure, s.exposure);
+        this._drawQuad(prog, null);
+    }
+
+    _applyBloom(scene) {
+        const gl = this.gl;
+        const s = this.settings;
+        const fbos = this.bloomFBOs;
+
+        let prog = this.programs.bloomPrefilter;
+        gl.useProgram(prog);
+        const knee = s.bloomThreshold * s.bloomSoftKnee + 0.0001;
+        gl.uniform3f(prog.uniforms.u_curve, s.bloomThreshold - knee, knee * 2, 0.25 / knee);
+        gl.uniform1f(prog.uniforms.u_threshold, s.bloomThreshold);
+        this._bindTexture(prog, 'u_texture', scene.texture, 0);
+        this._drawQuad(prog, fbos[0]);
+
+        // Blur down the pyramid, then add each level back up into the one above
+        prog = this.programs.blur;
+        gl.useProgram(prog);
+        for (let i = 1; i < fbos.length; i++) {
+            const src = fbos[i - 1];
+            gl.uniform2f(prog.uniforms.u_texelSize, 1 / src.width, 1 / src.height);
+            this._bindTexture(prog, 'u_texture', src.texture, 0);
+            this._drawQuad(prog, fbos[i]);
+        }
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        for (let i = fbos.length - 1; i > 0; i--) {
+            const src = fbos[i];
+            gl.uniform2f(prog.uniforms.u_texelSize, 1 / src.width, 1 / src.height);
+            this._bindTexture(prog, 'u_texture', src.texture, 0);
+            this._drawQuad(prog, fbos[i - 1]);
+        }
+        gl.disable(gl.BLEND);
+    }
+
+    _applySunrays(scene) {
+        const gl = this.gl;
+        const prog = this.programs.sunrays;
+        gl.useProgram(prog);
+
+        // Origin is given top-left based like splat(); texture space is bottom-left
+        const [ox, oy] = this.settings.sunraysOrigin;
+        gl.uniform2f(prog.uniforms.u_origin, ox, 1 - oy);
+        gl.uniform1f(prog.uniforms.u_weight, this.settings.sunraysWeight);
+        this._bindTexture(prog, 'u_texture', scene.texture, 0);
+        this._drawQuad(prog, this.sunraysFBO);
+    }
+
+    // ========== ANIMATION ==========
+
+    _updateStats(now) {
+        this.frameCount++;
+        if (now - this.lastFpsTime >= 500) {
+            this.currentFps = Math.round(this.frameCount * 1000 / (now - this.lastFpsTime));
+            this.frameCount = 0;
+            this.lastFpsTime = now;
+            this._emit('fps', { fps: this.currentFps, particleCount: this.getParticleCount() });
+        }
+
+        if (this.lastStatsTime !== null && this.settings.autoQuality) {
+            this._updateGovernor(now - this.lastStatsTime, now);
+        }
+        this.lastStatsTime = now;
+    }
+
+    // Once a second, compare the 90th percentile frame time with the target frame budget.
+    // Over budget: lower one lever. On budget for a while: probe one level up; vsync hides
+    // real headroom, so a probe that immediately drops back doubles the wait for the next one.
+    _updateGovernor(frameMs, now) {
+        // Tab switches and breakpoints are not rendering cost
+        if (frameMs > 250) return;
+
+        this.frameTimes[this.frameTimeIdx] = frameMs;
+        this.frameTimeIdx = (this.frameTimeIdx + 1) % this.frameTimes.length;
+        this.frameTimeCount = Math.min(this.frameTimeCount + 1, this.frameTimes.length);
+
+        if (now - this.lastGovernorCheck < 1000 || this.frameTimeCount < 30) return;
+        this.lastGovernorCheck = now;
+
+        const p90 = this._getFrameTimePercentile(0.9);
+        const budget = 1000 / this.settings.targetFps;
+
+        if (p90 > budget * 1.2) {
+            this.stableChecks = 0;
+            if (now - this.lastQualityUp < 3000) this.probeDelay = Math.min(this.probeDelay * 2, 64000);
+            this._stepQuality(-1, p90, now);
+        } else if (p90 <= budget * 1.05) {
+            this.stableChecks++;
+            if (this.stableChecks * 1000 >= this.probeDelay && now - this.lastQualityChange >= this.probeDelay) {
+                this.stableChecks = 0;
+                if (this._stepQuality(1, p90, now)) this.lastQualityUp = now;
+            }
+        } else {
+            this.stableChecks = 0;
+        }
+    }
+
+    _getFrameTimePercentile(p) {
+        const sorted = this.frameTimes.slice(0, this.frameTimeCount).sort();
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    }
+
+    // Down: solver iterations first (free to change), then particles, then sim scale. Up: undo
+    // the most recent step down, then climb particles/scale to maxQuality. Particle and scale
+    // steps resample the running state into the new buffers, so probing doesn't reset the fluid.
+    _stepQuality(direction, frameTime, now) {
+        const levels = this.qualityLevels;
+        const maxLevel = { iterations: this.iterationScales.length - 1, particles: this.settings.maxQuality, scale: this.settings.maxQuality };
+
+        let lever;
+        if (direction < 0) {
+            lever = ['iterations', 'particles', 'scale'].find(k => levels[k] > 0);
+            if (lever) this.loweredLevers.push(lever);
+        } else {
+            lever = this.loweredLevers.pop() ?? ['particles', 'scale'].find(k => levels[k] < maxLevel[k]);
+        }
+        if (!lever) return false;
+
+        levels[lever] += direction;
+        if (lever === 'scale') this._initFramebuffers({ keepState: true });
+        else if (lever === 'particles') this._initParticleBuffers({ keepState: true });
+
+        // Measurements from before the change no longer apply
+        this.frameTimeCount = 0;
+        this.lastQualityChange = now;
+
+        this._emit('qualitychange', {
+            lever,
+            direction: direction < 0 ? 'down' : 'up',
+            levels: { ...levels },
+            solverIterations: this._getSolverIterations(),
+            particleCount: this.particleCount,
+            simWidth: this.simWidth,
+            simHeight: this.simHeight,
+            frameTime,
+            targetFps: this.settings.targetFps,
+        });
+        return true;
     }
 
-    _createProgram(vertSrc, fragSrc) {
+    // Quality setting changed by hand: every lever back to that preset
+    _resetQualityLevels() {
+        const q = this.settings.quality;
+        this.qualityLevels = { iterations: this.iterationScales.length - 1, particles: q, scale: q };
+        this.loweredLevers = [];
+        this.frameTimeCount = 0;
+        this.stableChecks = 0;
+        this.probeDelay = 4000;
+    }
+
+    // preventDefault() is what allows the browser to restore the context later
+    _onContextLost(e) {
+        e.preventDefault();
+        this.contextLost = true;
+        this.resumeAfterRestore = this.running || this.hiddenPause;
+        this.pause();
+        this._emit('contextlost', {});
+    }
+
+    // Every GL object died with the old context: rebuild them all from the retained settings,
+    // palettes, post passes, background and obstacle sources. Fluid and dye start out empty
+    _onContextRestored() {
+        if (this.destroyed) return;
         const gl = this.gl;
-        const vert = this._compileShader(vertSrc, gl.VERTEX_SHADER);
-        const frag = this._compileShader(fragSrc, gl.FRAGMENT_SHADER);
-        if (!vert || !frag) return null;
+        this._initExtensions();
+        this._initShaders();
+        this._initBuffers();
 
-        const prog = gl.createProgram();
-        gl.attachShader(prog, vert);
-        gl.attachShader(prog, frag);
-        gl.linkProgram(prog);
+        this.paletteTexture = gl.createTexture();
+        this._uploadPalettes();
 
-        if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
-            console.error('Link error:', gl.getProgramInfoLog(prog));
-            return null;
-        }
+        const vertSrc = this._getVertexSource();
+        this.postPasses.forEach(pass => {
+            pass.program = this._createProgram(vertSrc, this._getCustomPostSource(pass.effect));
+        });
+        this.postFBO = null;
+        this.bloomFBOs = [];
+        this.sunraysFBO = null;
 
-        prog.uniforms = {};
-        const numUniforms = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
-        for (let i = 0; i < numUniforms; i++) {
-            const info = gl.getActiveUniform(prog, i);
-            prog.uniforms[info.name] = gl.getUniformLocation(prog, info.name);
+        if (this.backgroundImage) {
+            this.backgroundTexture = gl.createTexture();
+            this._uploadImageTexture(this.backgroundTexture, this.backgroundImage, true);
         }
 
-        prog.attributes = {};
-        const numAttribs = gl.getProgramParameter(prog, gl.ACTIVE_ATTRIBUTES);
-        for (let i = 0; i < numAttribs; i++) {
-            const info = gl.getActiveAttrib(prog, i);
-            prog.attributes[info.name] = gl.getAttribLocation(prog, info.name);
-        }
+        this.particleLineBuffer = null;
+        this.particleLife = null;
+        this._initFramebuffers();
 
-        return prog;
+        this.accumulator = 0;
+        this.contextLost = false;
+        this._emit('contextrestored', {});
+
+        if (!this.resumeAfterRestore) return;
+        if (this.pageHidden) this.hiddenPause = true;
+        else this.resume();
     }
 
-    _initShaders() {
-        const vertSrc = this._getVertexSource();
+    // ========== PUBLIC API ==========
 
-        this.programs = {
-            advect: this._createProgram(vertSrc, this._getAdvectSource()),
-            divergence: this._createProgram(vertSrc, this._getDivergenceSource()),
-            pressure: this._createProgram(vertSrc, this._getPressureSource()),
-            gradient: this._createProgram(vertSrc, this._getGradientSource()),
-            force: this._createProgram(vertSrc, this._getForceSource()),
-            dye: this._createProgram(vertSrc, this._getDyeSource()),
-            display: this._createProgram(vertSrc, this._getDisplaySource()),
-            particleRender: this._createProgram(this._getParticleVertSource(), this._getParticleFragSource()),
-            particleUpdate: this._createProgram(vertSrc, this._getParticleUpdateSource()),
-            particleInit: this._createProgram(vertSrc, this._getParticleInitSource()),
-        };
+    getFPS() { return this.currentFps; }
+    getParticleCount() { return this.fieldFormat.packed ? 0 : this.particleCount; }
+    getColorModeNames() { return this.colorModeNames; }
+
+    // Add or replace a palette; returns its colorMode index
+    registerPalette(name, stops) {
+        const idx = this._addPalette(name, this._paletteSampler(stops));
+        if (!this.destroyed) this._uploadPalettes();
+        return idx;
     }
 
-    // ========== BUFFERS ==========
+    // Validates everything first, so one bad value leaves all settings untouched
+    updateSettings(s) {
+        if (this.destroyed) return;
+        const next = {};
+        for (const [key, value] of Object.entries(s)) next[key] = this._validateSetting(key, value);
+        if ('colorMode' in next) next.colorMode = this._resolveColorMode(next.colorMode);
 
-    _initBuffers() {
-        const gl = this.gl;
-        this.quadBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+        const qualityChanged = 'quality' in next && next.quality !== this.settings.quality;
+        if (qualityChanged && !('solverIterations' in next)) {
+            next.solverIterations = this.qualityPresets[next.quality].iterations;
+        }
+        Object.assign(this.settings, next);
+        if (qualityChanged) {
+            this._resetQualityLevels();
+            this._initFramebuffers();
+        }
     }
 
-    _initParticleBuffers() {
-        const gl = this.gl;
-        const preset = this.qualityPresets[this.settings.quality];
-        const count = preset.particles;
+    // Persistent force until removed: 'radial' (negative strength attracts), 'vortex',
+    // or 'directional' along dx/dy. Returns an id for update/removeForceField()
+    addForceField({ x = 0.5, y = 0.5, radius = 0.2, strength = 1, type = 'radial', dx = 0, dy = 0 } = {}) {
+        const id = this.nextForceFieldId++;
+        this.forceFields.set(id, { x, y, radius, strength, type, dx, dy });
+        return id;
+    }
 
-        const dataSize = Math.ceil(Math.sqrt(count));
-        this.particleDataSize = dataSize;
-        this.particleCount = dataSize * dataSize;
+    updateForceField(id, props) {
+        const field = this.forceFields.get(id);
+        if (field) Object.assign(field, props);
+    }
 
-        const uvs = new Float32Array(this.particleCount * 2);
-        for (let i = 0; i < dataSize; i++) {
-            for (let j = 0; j < dataSize; j++) {
-                const idx = (i * dataSize + j) * 2;
-                uvs[idx] = (j + 0.5) / dataSize;
-                uvs[idx + 1] = (i + 0.5) / dataSize;
-            }
-        }
+    removeForceField(id) { this.forceFields.delete(id); }
+    clearForceFields() { this.forceFields.clear(); }
+
+    // Let the fluid flow around shapes. Sources may be mixed in an array; see _rasterizeObstacles.
+    // options: { boundary: 'free-slip' | 'no-slip', padding (CSS px around DOM rects) }
+    setObstacles(sources, options = {}) {
+        if (this.destroyed) return Promise.resolve();
+        this.obstacleSources = Array.isArray(sources) ? sources : [sources];
+        this.obstaclePadding = options.padding ?? 0;
+        if (options.boundary) this.settings.boundary = options.boundary;
+        return this._rasterizeObstacles();
+    }
 
-        if (this.particleUVBuffer) gl.deleteBuffer(this.particleUVBuffer);
-        this.particleUVBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleUVBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, uvs, gl.STATIC_DRAW);
+    // Re-read DOM rects (call after layout changes such as scrolling)
+    refreshObstacles() {
+        if (!this.obstacleSources || this.destroyed) return Promise.resolve();
+        return this._rasterizeObstacles();
+    }
 
-        if (this.particleData) {
-            this.particleData.forEach(t => {
-                gl.deleteTexture(t.texture);
-                gl.deleteFramebuffer(t.fbo);
-            });
+    clearObstacles() {
+        this.obstacleSources = null;
+        this.hasObstacles = false;
+    }
+
+    // Image drawn under the fluid (URL or image/canvas/bitmap; null removes it).
+    // fit: 'cover' | 'contain' | 'stretch'. Call again to re-upload a changed canvas.
+    async setBackgroundImage(source, { fit = 'cover' } = {}) {
+        if (this.destroyed) return;
+        const gl = this.gl;
+        if (!source) {
+            if (this.backgroundTexture) gl.deleteTexture(this.backgroundTexture);
+            this.backgroundTexture = null;
+            this.backgroundImage = null;
+            return;
         }
 
-        this.particleData = [
-            this._createRenderTarget(dataSize, dataSize, true),
-            this._createRenderTarget(dataSize, dataSize, true),
-        ];
-        this.particleReadIdx = 0;
-        this._initParticles();
+        source = await this._loadImageSource(source, 'setBackgroundImage');
+        if (this.destroyed) return;
+        if (!this.backgroundTexture) this.backgroundTexture = gl.createTexture();
+        this._uploadImageTexture(this.backgroundTexture, source, true);
+        this.backgroundImage = source;
+        this.backgroundFit = fit;
     }
 
-    _initParticles() {
+    // Seed the dye field from a picture (URL, image, canvas, video frame...) so it can be smeared.
+    // fit: 'cover' | 'contain' | 'stretch'; intensity scales the colors; add: keep the existing dye
+    async loadDyeFromImage(source, { fit = 'cover', intensity = 1, add = false } = {}) {
+        if (this.destroyed) return;
+        source = await this._loadImageSource(source, 'loadDyeFromImage');
+        if (this.destroyed) return;
+
         const gl = this.gl;
-        const prog = this.programs.particleInit;
+        const tex = gl.createTexture();
+        this._uploadImageTexture(tex, source, true);
 
+        const prog = this.programs.dyeImage;
         gl.useProgram(prog);
-        gl.viewport(0, 0, this.particleDataSize, this.particleDataSize);
+        this._bindTexture(prog, 'u_texture', tex, 0);
+        this._bindTexture(prog, 'u_dye', this.dyeFBO[this.dyeIdx].texture, 1);
+        this._setFitUniforms(prog, source, fit);
+        gl.uniform1f(prog.uniforms.u_intensity, intensity);
+        gl.uniform1i(prog.uniforms.u_add, add ? 1 : 0);
+        this._drawQuad(prog, this.dyeFBO[1 - this.dyeIdx]);
+        this.dyeIdx = 1 - this.dyeIdx;
+
+        gl.deleteTexture(tex);
+    }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+    // Add a custom post pass. effect is GLSL defining "vec4 effect(sampler2D tex, vec2 uv)"
+    // (u_texelSize and u_time are available); uniforms(gl, prog, engine) sets any extra ones
+    addPostPass(name, effect, { uniforms = null, enabled = true, index } = {}) {
+        this.removePostPass(name);
+        const program = this._createProgram(this._getVertexSource(), this._getCustomPostSource(effect));
+        if (!program) throw new Error(`Post pass "${name}" failed to compile`);
+        const pass = { name, effect, program, uniforms, enabled };
+        this.postPasses.splice(index ?? this.postPasses.length, 0, pass);
+        return pass;
+    }
 
-        for (let i = 0; i < 2; i++) {
-            gl.bindFramebuffer(gl.FRAMEBUFFER, this.particleData[i].fbo);
-            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-        }
+    removePostPass(name) {
+        const idx = this.postPasses.findIndex(p => p.name === name);
+        if (idx === -1) return;
+        this.gl.deleteProgram(this.postPasses[idx].program);
+        this.postPasses.splice(idx, 1);
     }
 
-    // ========== FRAMEBUFFERS ==========
+    setPostPassEnabled(name, enabled) {
+        const pass = this.postPasses.find(p => p.name === name);
+        if (pass) pass.enabled = enabled;
+    }
 
-    _createRenderTarget(w, h, isFloat = false) {
-        const gl = this.gl;
-        const tex = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, tex);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    // Advance the simulation by dt seconds (use with { loop: false })
+    step(dt = 1 / 60) {
+        if (this.destroyed || this.contextLost) return;
+        this._updateStats(performance.now());
+        this._advance(dt);
+    }
 
-        if (this.isWebGL2) {
-            if (isFloat) {
-                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, w, h, 0, gl.RGBA, gl.FLOAT, null);
-            } else {
-                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-            }
-        } else {
-            if (isFloat && this.floatTexSupport) {
-                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.FLOAT, null);
-            } else {
-                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-            }
-        }
+    render() {
+        if (this.destroyed || this.contextLost) return;
+        this._render();
+        this._emit('frame', { time: this.simTime, step: this.stepCount, fps: this.currentFps });
+    }
 
-        const fbo = gl.createFramebuffer();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    isContextLost() { return this.contextLost; }
 
-        return { texture: tex, fbo, width: w, height: h };
+    destroy() {
+        if (this.destroyed) return;
+        this.pause();
+        // Plugins clean up while the engine is still usable
+        this._disposePlugins();
+        this.destroyed = true;
+
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.recorder = null;
+
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.eventHandlers.clear();
+        this.pointers = [];
+        this.splatQueue = [];
+        this.forceFields.clear();
+
+        const gl = this.gl;
+        this._deleteFramebuffers();
+        if (this.particleData) this.particleData.forEach(t => this._deleteRenderTarget(t));
+        this._deleteParticleLife();
+        gl.deleteBuffer(this.quadBuffer);
+        gl.deleteBuffer(this.particleUVBuffer);
+        if (this.particleLineBuffer) gl.deleteBuffer(this.particleLineBuffer);
+        gl.deleteTexture(this.paletteTexture);
+        if (this.backgroundTexture) gl.deleteTexture(this.backgroundTexture);
+        this.backgroundTexture = this.backgroundImage = null;
+        Object.values(this.programs).forEach(prog => { if (prog) gl.deleteProgram(prog); });
+        this.postPasses.forEach(pass => gl.deleteProgram(pass.program));
+        this.postPasses = [];
+        this._deletePostTargets();
+
+        this.velocityFBO = this.pressureFBO = this.dyeFBO = this.divergenceFBO = this.curlFBO = this.obstacleFBO = null;
+        this.obstacleSources = null;
+        this.particleData = null;
+        this.programs = {};
     }
 
-    _createDoubleFBO(w, h, isFloat = false) {
-        return [this._createRenderTarget(w, h, isFloat), this._createRenderTarget(w, h, isFloat)];
+    reset() {
+        const gl = this.gl;
+        [this.velocityFBO, this.pressureFBO].forEach(arr => arr.forEach(t => this._clearField(t)));
+        gl.clearColor(0, 0, 0, 1);
+        this.dyeFBO.forEach(t => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+        });
+        this._initParticles();
+
+        const elapsed = this.simTime;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.simTime = 0;
+        this.splatQueue.length = 0;
+        this._reseed();
+
+        // Simulation time restarted: restart the replay with it
+        if (this.inputReplay) {
+            this._releaseReplayPointers();
+            this.inputReplay.start = 0;
+            this.inputReplay.cursor = 0;
+        }
+        // Keep recorded timestamps monotonic across the reset
+        if (this.inputRecording) this.inputRecording.start -= elapsed;
     }
+}
 
-    _initFramebuffers() {
-        const preset = this.qualityPresets[this.settings.quality];
+/**
+ * Canvas 2D fallback for devices without usable WebGL.
+ *
+ * A low-resolution stable-fluids solver on the CPU (semi-Lagrangian advection, vorticity
+ * confinement, Jacobi pressure projection) drawn through ImageData and scaled up by the
+ * browser. It takes the same options and settings as DaemonFluidEngine and inherits the
+ * same settings, palette, event, input and capture code from DaemonFluidBase; particles,
+ * obstacles, force fields and post-processing are GPU-only and ignored here. Use
+ * DaemonFluidEngine.create() to get whichever renderer the device supports.
+ */
+class DaemonFluidCanvasFallback extends DaemonFluidBase {
+    constructor(canvasId, options = {}) {
+        super(options);
+        let canvas = document.getElementById(canvasId);
+        if (!canvas) throw new Error(`Canvas "${canvasId}" not found`);
+
+        this.transparent = !!options.transparent;
+        this.passthrough = !!options.passthrough;
+        this.viewport = options.viewport ?? null;
+
+        // A canvas keeps its first context type; a failed WebGL attempt needs a fresh element
+        let ctx = canvas.getContext('2d', { alpha: this.transparent });
+        if (!ctx) {
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            canvas = fresh;
+            ctx = canvas.getContext('2d', { alpha: this.transparent });
+        }
+        if (!ctx) throw new Error('Canvas 2D not supported');
 
-        this.simWidth = Math.max(32, Math.round(window.innerWidth * preset.scale));
-        this.simHeight = Math.max(32, Math.round(window.innerHeight * preset.scale));
-        this.aspectRatio = this.simWidth / this.simHeight;
+        this.canvas = canvas;
+        this.ctx = ctx;
+        if (this.passthrough) this.canvas.style.pointerEvents = 'none';
+        this.isFallback = true;
+        this.isWebGL2 = false;
 
-        this.settings.solverIterations = preset.iterations;
+        console.log('🌊 DAEMON Fluid Engine: Canvas 2D fallback');
 
-        this.velocityFBO = this._createDoubleFBO(this.simWidth, this.simHeight, true);
-        this.pressureFBO = this._createDoubleFBO(this.simWidth, this.simHeight, true);
-        this.divergenceFBO = this._createRenderTarget(this.simWidth, this.simHeight, true);
-        this.dyeFBO = this._createDoubleFBO(this.simWidth, this.simHeight, false);
+        // Grid cell budget per quality preset; the CPU solver cost is linear in cells
+        this.cellBudgets = [4096, 6144, 9216, 12288, 16384];
 
-        this.velIdx = 0;
-        this.pressIdx = 0;
-        this.dyeIdx = 0;
+        this.palettes = [];
+        this.colorModeNames = [];
+        this.paletteLutSize = 256;
+        this.paletteLut = null;
+
+        this.simWidth = 0;
+        this.simHeight = 0;
+        this.aspectRatio = 1;
 
-        this._initParticleBuffers();
+        this.pointers = [];
+        this.splatQueue = [];
+        this.maxQueuedSplats = 256;
+        this.inputRecording = null;
+        this.inputReplay = null;
+
+        this.backgroundColor = null;
+        this.backgroundColorSource = null;
+        this.parsedColors = new Map();
+
+        this.frameCount = 0;
+        this.lastFpsTime = performance.now();
+        this.currentFps = 60;
+        this.lastFrameTime = performance.now();
+        this.lastStatsTime = null;
+
+        this.eventHandlers = new Map();
+        this.pluginDisposers = [];
+
+        this.useInternalLoop = options.loop !== false;
+        this.running = false;
+        this.destroyed = false;
+        this.rafId = null;
+        this.hiddenPause = false;
+        this.pageHidden = document.hidden;
+        this.contextLost = false;
+        this.listeners = [];
+
+        this.fixedTimestep = options.fixedTimestep ?? null;
+        this.maxSubsteps = options.maxSubsteps ?? 4;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.simTime = 0;
+        this.seed = options.seed ?? null;
+        this._reseed();
+
+        this.recorder = null;
+        this.recordedChunks = [];
+
+        this._initPalettes();
+        this.settings.colorMode = this._resolveColorMode(this.settings.colorMode);
+        this._initEventListeners();
+        this._resize();
+
+        if (this.useInternalLoop) this.resume();
     }
 
-    // ========== EVENTS ==========
+    // ========== SETUP ==========
 
-    _initEventListeners() {
-        window.addEventListener('resize', () => this._resize());
+    _initPalettes() {
+        const builtins = this._getBuiltinPalettes();
+        Object.keys(builtins).forEach(name => this._addPalette(name, builtins[name]));
+        this._uploadPalettes();
+    }
 
-        // Mouse
-        this.canvas.addEventListener('mousedown', e => {
-            this.pointer.isDown = true;
-            this._updatePointer(e);
-            this.lastPointer.x = this.pointer.x;
-            this.lastPointer.y = this.pointer.y;
-        });
-        window.addEventListener('mouseup', () => { this.pointer.isDown = false; });
-        this.canvas.addEventListener('mousemove', e => {
-            this.pointer.moved = true;
-            this._updatePointer(e);
+    // Same lookup table as the GPU palette texture, kept as floats
+    _uploadPalettes() {
+        const size = this.paletteLutSize;
+        this.paletteLut = new Float32Array(size * this.palettes.length * 3);
+        this.palettes.forEach((palette, row) => {
+            for (let i = 0; i < size; i++) {
+                const rgb = palette.sample(i / (size - 1));
+                for (let c = 0; c < 3; c++) {
+                    this.paletteLut[(row * size + i) * 3 + c] = Math.max(0, Math.min(2, rgb[c]));
+                }
+            }
         });
-
-        // Touch
-        this.canvas.addEventListener('touchstart', e => {
-            e.preventDefault();
-            this.pointer.isDown = true;
-            this._updateTouch(e);
-            this.lastPointer.x = this.pointer.x;
-            this.lastPointer.y = this.pointer.y;
-        }, { passive: false });
-        this.canvas.addEventListener('touchend', () => { this.pointer.isDown = false; });
-        this.canvas.addEventListener('touchmove', e => {
-            e.preventDefault();
-            this.pointer.moved = true;
-            this._updateTouch(e);
-        }, { passive: false });
     }
 
-    _updatePointer(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-        this.pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+    _getColor(x) {
+        const size = this.paletteLutSize;
+        const i = Math.round(Math.max(0, Math.min(1, x)) * (size - 1));
+        const o = (this.settings.colorMode * size + i) * 3;
+        return [this.paletteLut[o], this.paletteLut[o + 1], this.paletteLut[o + 2]];
     }
 
-    _updateTouch(e) {
-        if (e.touches.length > 0) {
-            const t = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            this.pointer.x = ((t.clientX - rect.left) / rect.width) * 2 - 1;
-            this.pointer.y = -((t.clientY - rect.top) / rect.height) * 2 + 1;
+    _initEventListeners() {
+        this._listen(window, 'resize', () => this._resize());
+        this._listen(document, 'visibilitychange', () => this._onVisibilityChange());
+
+        if (this.passthrough) {
+            this._initPassthroughListeners();
+            return;
         }
+
+        this._listen(this.canvas, 'pointerdown', e => {
+            const { x, y } = this._clientToClip(e.clientX, e.clientY);
+            if (!this._pointerDown(e.pointerId, x, y)) return;
+            if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+        });
+        this._listen(this.canvas, 'pointermove', e => {
+            const { x, y } = this._clientToClip(e.clientX, e.clientY);
+            this._pointerMove(e.pointerId, x, y, e.pointerType === 'mouse');
+        });
+        const release = e => this._pointerUp(e.pointerId, e.pointerType === 'mouse');
+        this._listen(window, 'pointerup', release);
+        this._listen(window, 'pointercancel', release);
+        this.canvas.style.touchAction = 'none';
     }
 
     _resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        const { width, height } = this._getViewportSize();
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const cells = this.cellBudgets[this.settings.quality];
+        const scale = Math.sqrt(cells / (width * height));
+        const w = Math.max(32, Math.round(width * scale));
+        const h = Math.max(32, Math.round(height * scale));
+        if (w !== this.simWidth || h !== this.simHeight) this._initGrid(w, h);
+    }
 
-        const preset = this.qualityPresets[this.settings.quality];
-        const newW = Math.max(32, Math.round(window.innerWidth * preset.scale));
-        const newH = Math.max(32, Math.round(window.innerHeight * preset.scale));
+    _initGrid(w, h) {
+        this.simWidth = w;
+        this.simHeight = h;
+        this.aspectRatio = w / h;
+
+        const n = w * h;
+        const field = () => new Float32Array(n);
+        this.u = field();
+        this.v = field();
+        this.u0 = field();
+        this.v0 = field();
+        this.pressure = field();
+        this.pressure0 = field();
+        this.divergence = field();
+        this.curl = field();
+        this.dye = [field(), field(), field()];
+        this.dye0 = [field(), field(), field()];
+
+        // Low-res frame, scaled up to the canvas with smoothing
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = w;
+        this.frameCanvas.height = h;
+        this.frameCtx = this.frameCanvas.getContext('2d');
+        this.frameImage = this.frameCtx.createImageData(w, h);
+    }
 
-        if (newW !== this.simWidth || newH !== this.simHeight) {
-            this._initFramebuffers();
+    // ========== SIMULATION ==========
+    // Grid units: cells, y down; velocities in cells per second
+
+    _step(dt, withPointers = true) {
+        this._processReplay();
+
+        this._stage('advect', dt, () => {
+            this._advectField(this.u, this.u0, dt, this.settings.velocityDissipation);
+            this._advectField(this.v, this.v0, dt, this.settings.velocityDissipation);
+            [this.u, this.u0] = [this.u0, this.u];
+            [this.v, this.v0] = [this.v0, this.v];
+        });
+        if (withPointers) this._stage('forces', dt, () => this._applyPointers(dt));
+        this._stage('splats', dt, () => this._applySplats());
+        this._stage('vorticity', dt, () => this._applyVorticity(dt));
+        this._stage('divergence', dt, () => this._computeDivergence());
+        this._stage('pressure', dt, () => this._solvePressure());
+        this._stage('gradient', dt, () => this._subtractGradient());
+        // The GPU decays dye in both its dye and advection passes
+        this._stage('advectDye', dt, () => {
+            const decay = this.settings.dyeDecay * this.settings.dyeDecay;
+            for (let c = 0; c < 3; c++) this._advectField(this.dye[c], this.dye0[c], dt, decay);
+            [this.dye, this.dye0] = [this.dye0, this.dye];
+        });
+
+        for (const p of this.pointers) {
+            p.lastX = p.x;
+            p.lastY = p.y;
+            p.dx = 0;
+            p.dy = 0;
+            p.moved = false;
         }
+
+        this.stepCount++;
+        this.simTime += dt;
     }
 
-    // ========== SIMULATION ==========
+    _stage(name, dt, run) {
+        this._emit(`before:${name}`, { stage: name, dt });
+        run();
+        this._emit(`after:${name}`, { stage: name, dt });
+    }
 
-    _step(dt) {
-        const gl = this.gl;
-        gl.viewport(0, 0, this.simWidth, this.simHeight);
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    // Trace each cell back along the velocity and sample bilinearly
+    _advectField(src, dst, dt, dissipation) {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const { u, v } = this;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const k = j * w + i;
+                const x = Math.max(0, Math.min(w - 1.001, i - dt * u[k]));
+                const y = Math.max(0, Math.min(h - 1.001, j - dt * v[k]));
+                const i0 = x | 0;
+                const j0 = y | 0;
+                const tx = x - i0;
+                const ty = y - j0;
+                const a = j0 * w + i0;
+                const b = a + w;
+                dst[k] = ((src[a] * (1 - tx) + src[a + 1] * tx) * (1 - ty)
+                    + (src[b] * (1 - tx) + src[b + 1] * tx) * ty) * dissipation;
+            }
+        }
+    }
 
-        this._advect(this.velocityFBO, 'velIdx', dt, this.settings.velocityDissipation);
-        this._applyForces(dt);
-        this._computeDivergence();
-        this._solvePressure();
-        this._subtractGradient();
-        this._updateDye(dt);
-        this._advect(this.dyeFBO, 'dyeIdx', dt, this.settings.dyeDecay);
-        this._updateParticles(dt);
+    // Pointer segments push velocity and dye like the GPU force/dye passes (sim-space falloff)
+    _applyPointers(dt) {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const aspect = this.aspectRatio;
+        const radius = this.settings.forceRadius;
+        const intensity = this.settings.dyeIntensity;
+        const usePalette = this.settings.dyeColor === 'palette';
+        let index = 0;
+
+        for (const p of this.pointers) {
+            if (!p.isDown) continue;
+            const ax = p.lastX * aspect;
+            const ay = p.lastY;
+            const bx = p.x * aspect;
+            const by = p.y;
+            const sx = (bx - ax) / Math.max(dt, 0.001);
+            const sy = (by - ay) / Math.max(dt, 0.001);
+            const speed = Math.hypot(sx, sy);
+            // Sim units/s -> cells/s (sim space spans 2 units vertically, y flips)
+            const tu = sx * h / 2;
+            const tv = -sy * h / 2;
+            const color = usePalette ? null : this._resolveDyeColor(this.settings.dyeColor, index);
+            index++;
+
+            for (let j = 0; j < h; j++) {
+                const py = 1 - (j + 0.5) / h * 2;
+                for (let i = 0; i < w; i++) {
+                    const px = ((i + 0.5) / w * 2 - 1) * aspect;
+                    const { dist, fp } = this._distToSegment(ax, ay, bx, by, px, py);
+                    const tapering = 1 - Math.max(0, Math.min(1, fp)) * 0.6;
+                    const k = j * w + i;
+
+                    const m = Math.exp(-dist / radius) * tapering * tapering;
+                    if (m > 0.001) {
+                        this.u[k] += (tu - this.u[k]) * m;
+                        this.v[k] += (tv - this.v[k]) * m;
+                    }
+
+                    const md = Math.exp(-dist / 0.03);
+                    if (md < 0.001) continue;
+                    const x = Math.max(0, Math.min(1, (speed * speed * 0.015 - dist * 4) * tapering));
+                    const c = color ? color.map(ch => ch * x) : this._getColor(x);
+                    for (let ch = 0; ch < 3; ch++) this.dye[ch][k] += md * c[ch] * intensity;
+                }
+            }
+        }
+    }
 
-        this.lastPointer.x = this.pointer.x;
-        this.lastPointer.y = this.pointer.y;
+    _distToSegment(ax, ay, bx, by, px, py) {
+        const dx = px - ax;
+        const dy = py - ay;
+        const lx = Math.hypot(bx - ax, by - ay);
+        if (lx <= 0.0001) return { dist: Math.hypot(dx, dy), fp: 0 };
+        const proj = (dx * (bx - ax) + dy * (by - ay)) / lx;
+        const fp = proj / lx;
+        if (proj < 0) return { dist: Math.hypot(dx, dy), fp };
+        if (proj > lx) return { dist: Math.hypot(px - bx, py - by), fp };
+        return { dist: Math.sqrt(Math.abs(dx * dx + dy * dy - proj * proj)), fp };
     }
 
-    _advect(target, idxName, dt, dissipation) {
-        const gl = this.gl;
-        const prog = this.programs.advect;
-        gl.useProgram(prog);
+    _applySplats() {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const intensity = this.settings.dyeIntensity;
+
+        for (const splat of this.splatQueue) {
+            const cx = splat.x * w;
+            const cy = splat.y * h;
+            // Radii are in sim units; sim space spans 2 units vertically
+            const vr = (splat.radius ?? this.settings.forceRadius) * h / 2;
+            const dr = (splat.radius ?? 0.03) * h / 2;
+            const color = splat.color ?? (this.settings.dyeColor !== 'palette' ? this.settings.dyeColor : null);
+            const rgb = color
+                ? this._resolveDyeColor(color, 0)
+                : this._getColor(Math.min(1, 0.35 + Math.hypot(splat.dx, splat.dy)));
+
+            for (let j = 0; j < h; j++) {
+                for (let i = 0; i < w; i++) {
+                    const d = Math.hypot(i + 0.5 - cx, j + 0.5 - cy);
+                    const k = j * w + i;
+                    const mv = Math.exp(-d / vr);
+                    this.u[k] += mv * splat.dx * w;
+                    this.v[k] += mv * splat.dy * h;
+                    const md = Math.exp(-d / dr) * intensity;
+                    for (let ch = 0; ch < 3; ch++) this.dye[ch][k] += md * rgb[ch];
+                }
+            }
+        }
+        this.splatQueue.length = 0;
+    }
 
-        const readIdx = this[idxName];
-        const writeIdx = 1 - readIdx;
+    _applyVorticity(dt) {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const { u, v, curl } = this;
+        for (let j = 1; j < h - 1; j++) {
+            for (let i = 1; i < w - 1; i++) {
+                const k = j * w + i;
+                curl[k] = 0.5 * ((v[k + 1] - v[k - 1]) - (u[k + w] - u[k - w]));
+            }
+        }
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, target[writeIdx].fbo);
+        const strength = this.settings.vorticity;
+        for (let j = 2; j < h - 2; j++) {
+            for (let i = 2; i < w - 2; i++) {
+                const k = j * w + i;
+                // Push along the gradient of |curl| (y down flips the curl's sign, not the force)
+                const gx = 0.5 * (Math.abs(curl[k + 1]) - Math.abs(curl[k - 1]));
+                const gy = 0.5 * (Math.abs(curl[k + w]) - Math.abs(curl[k - w]));
+                const f = strength * curl[k] / (Math.hypot(gx, gy) + 0.0001);
+                u[k] += gy * f * dt;
+                v[k] -= gx * f * dt;
+            }
+        }
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
-        gl.uniform1i(prog.uniforms.u_velocity, 0);
+    _computeDivergence() {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const { u, v, divergence } = this;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const k = j * w + i;
+                // Walls reflect the normal component
+                const uL = i > 0 ? u[k - 1] : -u[k];
+                const uR = i < w - 1 ? u[k + 1] : -u[k];
+                const vT = j > 0 ? v[k - w] : -v[k];
+                const vB = j < h - 1 ? v[k + w] : -v[k];
+                divergence[k] = 0.5 * ((uR - uL) + (vB - vT));
+            }
+        }
+    }
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, target[readIdx].texture);
-        gl.uniform1i(prog.uniforms.u_target, 1);
+    _solvePressure() {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const iterations = Math.min(this.settings.solverIterations, 20);
+        let p = this.pressure;
+        let next = this.pressure0;
+        for (let n = 0; n < iterations; n++) {
+            for (let j = 0; j < h; j++) {
+                for (let i = 0; i < w; i++) {
+                    const k = j * w + i;
+                    const C = p[k];
+                    const L = i > 0 ? p[k - 1] : C;
+                    const R = i < w - 1 ? p[k + 1] : C;
+                    const T = j > 0 ? p[k - w] : C;
+                    const B = j < h - 1 ? p[k + w] : C;
+                    next[k] = (L + R + T + B - this.divergence[k]) * 0.25;
+                }
+            }
+            [p, next] = [next, p];
+        }
+        this.pressure = p;
+        this.pressure0 = next;
+    }
 
-        gl.uniform1f(prog.uniforms.u_dt, dt);
-        gl.uniform1f(prog.uniforms.u_rdx, 1 / this.settings.cellSize);
-        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
-        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
-        gl.uniform1f(prog.uniforms.u_dissipation, dissipation);
+    _subtractGradient() {
+        const w = this.simWidth;
+        const h = this.simHeight;
+        const { u, v, pressure: p } = this;
+        const noSlip = this.settings.boundary === 'no-slip';
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const k = j * w + i;
+                const C = p[k];
+                const L = i > 0 ? p[k - 1] : C;
+                const R = i < w - 1 ? p[k + 1] : C;
+                const T = j > 0 ? p[k - w] : C;
+                const B = j < h - 1 ? p[k + w] : C;
+                u[k] -= 0.5 * (R - L);
+                v[k] -= 0.5 * (B - T);
+
+                const wallX = i === 0 || i === w - 1;
+                const wallY = j === 0 || j === h - 1;
+                if (noSlip && (wallX || wallY)) {
+                    u[k] = v[k] = 0;
+                } else {
+                    if (wallX) u[k] = 0;
+                    if (wallY) v[k] = 0;
+                }
+            }
+        }
+    }
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    // ========== RENDER ==========
 
-        this[idxName] = writeIdx;
+    // Dye over the background color; transparent mode makes the brightest channel the coverage
+    _render() {
+        const data = this.frameImage.data;
+        const [br, bg, bb, ba] = this._getBackgroundColor();
+        const [r, g, b] = this.dye;
+
+        for (let k = 0, o = 0; k < r.length; k++, o += 4) {
+            const dr = Math.min(1, r[k]);
+            const dg = Math.min(1, g[k]);
+            const db = Math.min(1, b[k]);
+            if (!this.transparent) {
+                data[o] = Math.min(1, br + dr) * 255;
+                data[o + 1] = Math.min(1, bg + dg) * 255;
+                data[o + 2] = Math.min(1, bb + db) * 255;
+                data[o + 3] = 255;
+                continue;
+            }
+            // ImageData is not premultiplied: composite premultiplied, then divide out alpha
+            const a = Math.max(dr, dg, db);
+            const under = ba * (1 - a);
+            const alpha = a + under;
+            const inv = alpha > 0 ? 255 / alpha : 0;
+            data[o] = (dr + br * under) * inv;
+            data[o + 1] = (dg + bg * under) * inv;
+            data[o + 2] = (db + bb * under) * inv;
+            data[o + 3] = alpha * 255;
+        }
+
+        this.frameCtx.putImageData(this.frameImage, 0, 0);
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.frameCanvas, 0, 0, this.canvas.width, this.canvas.height);
     }
 
-    _applyForces(dt) {
-        const gl = this.gl;
-        const prog = this.programs.force;
-        gl.useProgram(prog);
+    _updateStats(now) {
+        this.frameCount++;
+        if (now - this.lastFpsTime >= 500) {
+            this.currentFps = Math.round(this.frameCount * 1000 / (now - this.lastFpsTime));
+            this.frameCount = 0;
+            this.lastFpsTime = now;
+            this._emit('fps', { fps: this.currentFps, particleCount: 0 });
+        }
+        this.lastStatsTime = now;
+    }
 
-        const writeIdx = 1 - this.velIdx;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+    // ========== PUBLIC API ==========
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
-        gl.uniform1i(prog.uniforms.u_velocity, 0);
+    getFPS() { return this.currentFps; }
+    getParticleCount() { return 0; }
+    getColorModeNames() { return this.colorModeNames; }
+    isContextLost() { return false; }
 
-        gl.uniform1f(prog.uniforms.u_dt, dt);
-        gl.uniform1f(prog.uniforms.u_dx, this.settings.cellSize);
-        gl.uniform2f(prog.uniforms.u_pointer, this.pointer.x, this.pointer.y);
-        gl.uniform2f(prog.uniforms.u_lastPointer, this.lastPointer.x, this.lastPointer.y);
-        gl.uniform1i(prog.uniforms.u_isDown, this.pointer.isDown ? 1 : 0);
-        gl.uniform1f(prog.uniforms.u_radius, this.settings.forceRadius);
-        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
+    registerPalette(name, stops) {
+        const idx = this._addPalette(name, this._paletteSampler(stops));
+        this._uploadPalettes();
+        return idx;
+    }
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    // Quality picks the grid size here; the GPU-only settings are stored but have no effect
+    updateSettings(s) {
+        if (this.destroyed) return;
+        const next = {};
+        for (const [key, value] of Object.entries(s)) next[key] = this._validateSetting(key, value);
+        if ('colorMode' in next) next.colorMode = this._resolveColorMode(next.colorMode);
 
-        this.velIdx = writeIdx;
+        const qualityChanged = 'quality' in next && next.quality !== this.settings.quality;
+        Object.assign(this.settings, next);
+        if (qualityChanged) this._resize();
     }
 
-    _computeDivergence() {
-        const gl = this.gl;
-        const prog = this.programs.divergence;
-        gl.useProgram(prog);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.divergenceFBO.fbo);
+    step(dt = 1 / 60) {
+        if (this.destroyed) return;
+        this._updateStats(performance.now());
+        this._advance(dt);
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
-        gl.uniform1i(prog.uniforms.u_velocity, 0);
+    render() {
+        if (this.destroyed) return;
+        this._render();
+        this._emit('frame', { time: this.simTime, step: this.stepCount, fps: this.currentFps });
+    }
 
-        gl.uniform1f(prog.uniforms.u_halfRdx, 0.5 / this.settings.cellSize);
-        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+    destroy() {
+        if (this.destroyed) return;
+        this.pause();
+        this._disposePlugins();
+        this.destroyed = true;
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.recorder = null;
+
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.eventHandlers.clear();
+        this.pointers = [];
+        this.splatQueue = [];
     }
 
-    _solvePressure() {
-        const gl = this.gl;
-        const prog = this.programs.pressure;
-        gl.useProgram(prog);
+    reset() {
+        [this.u, this.v, this.pressure, this.pressure0, ...this.dye].forEach(f => f.fill(0));
+
+        const elapsed = this.simTime;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.simTime = 0;
+        this.splatQueue.length = 0;
+        this._reseed();
+
+        if (this.inputReplay) {
+            this._releaseReplayPointers();
+            this.inputReplay.start = 0;
+            this.inputReplay.cursor = 0;
+        }
+        if (this.inputRecording) this.inputRecording.start -= elapsed;
+    }
+}
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.divergenceFBO.texture);
-        gl.uniform1i(prog.uniforms.u_divergence, 1);
+/**
+ * Main-thread handle for an engine running in a Web Worker (fluid-worker.js) on an
+ * OffscreenCanvas, so the simulation doesn't compete with scrolling and page scripts.
+ *
+ * Created by DaemonFluidEngine.create(id, { worker: true }) when the browser supports it.
+ * `ready` settles once the worker's engine is running and rejects if it fails to start;
+ * DaemonFluidEngine.createAsync waits for it and falls back on the main thread.
+ * Only pointer input, resizes, visibility and API calls cross the thread boundary:
+ * - settings are validated here and mirrored, so getters (getSettings, exportSettings,
+ *   getPaletteCSS, getFPS...) stay synchronous and bad values throw on the calling thread
+ * - calls that produce results in the worker (captureFrame, stopInputRecording, image and
+ *   obstacle loading, addPostPass) return Promises
+ * - events are forwarded, except the synchronous before:/after: stage hooks; plugins
+ *   (use) and renderSequence need the engine itself and are unavailable
+ * - recording captures the page-side canvas; presets are kept in this thread's localStorage
+ */
+class DaemonFluidWorkerProxy extends DaemonFluidBase {
+    // fluid-worker.js next to this script, resolved while the script is being evaluated
+    static workerUrl = typeof document !== 'undefined' && document.currentScript
+        ? new URL('fluid-worker.js', document.currentScript.src).href
+        : null;
+
+    // Needs a transferable canvas and WebGL on OffscreenCanvas, probed here because the
+    // canvas can't be taken back once it's handed to the worker
+    static isSupported(canvas) {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+        if (!canvas || typeof canvas.transferControlToOffscreen !== 'function') return false;
+        try {
+            const gl = new OffscreenCanvas(1, 1).getContext('webgl2') || new OffscreenCanvas(1, 1).getContext('webgl');
+            if (!gl) return false;
+            const lose = gl.getExtension('WEBGL_lose_context');
+            if (lose) lose.loseContext();
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
 
-        gl.uniform1f(prog.uniforms.u_alpha, -this.settings.cellSize * this.settings.cellSize);
-        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+    constructor(canvasId, options = {}) {
+        super(options);
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) throw new Error(`Canvas "${canvasId}" not found`);
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        const { workerUrl = DaemonFluidWorkerProxy.workerUrl, ...engineOptions } = options;
+        if (!workerUrl) throw new Error('Worker script URL unknown; pass options.workerUrl');
 
-        for (let i = 0; i < this.settings.solverIterations; i++) {
-            const writeIdx = 1 - this.pressIdx;
-            gl.bindFramebuffer(gl.FRAMEBUFFER, this.pressureFBO[writeIdx].fbo);
+        this.transparent = !!options.transparent;
+        this.passthrough = !!options.passthrough;
+        if (this.passthrough) this.canvas.style.pointerEvents = 'none';
+        this.isWorker = true;
+        this.isWebGL2 = false;
 
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, this.pressureFBO[this.pressIdx].texture);
-            gl.uniform1i(prog.uniforms.u_pressure, 0);
+        // this.settings mirrors the worker's, which sends back what it actually applied
+        this.palettes = [];
+        this.colorModeNames = [];
+        const builtins = this._getBuiltinPalettes();
+        Object.keys(builtins).forEach(name => this._addPalette(name, builtins[name]));
+        this.settings.colorMode = this._resolveColorMode(this.settings.colorMode);
 
-            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-            this.pressIdx = writeIdx;
-        }
-    }
+        // Local pointer bookkeeping for the shared listeners; the worker keeps its own copy
+        this.pointers = [];
+        this.inputRecording = null;
 
-    _subtractGradient() {
-        const gl = this.gl;
-        const prog = this.programs.gradient;
-        gl.useProgram(prog);
+        this.currentFps = 60;
+        this.particleCount = 0;
+        this.running = engineOptions.loop !== false;
+        this.contextLost = false;
+        this.destroyed = false;
+        this.replaying = false;
+        this.replayEnd = null;
+
+        this.seed = options.seed ?? null;
+        this._reseed();
+        this.nextForceFieldId = 1;
+        this.obstacleSources = null;
+        this.obstacleOptions = {};
+
+        this.eventHandlers = new Map();
+        this.listeners = [];
+        this.requests = new Map();
+        this.nextRequestId = 1;
+
+        this.recorder = null;
+        this.recordedChunks = [];
+
+        this.started = false;
+        this.ready = new Promise((resolve, reject) => { this.settleReady = { resolve, reject }; });
+        // Failures are also logged and emitted as 'error'; awaiting ready is optional
+        this.ready.catch(() => {});
+
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = e => this._onMessage(e.data);
+        this.worker.onerror = e => this._onWorkerError(e.message || 'Worker failed to start');
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options: { ...engineOptions, viewport: { width: window.innerWidth, height: window.innerHeight } },
+            hidden: document.hidden,
+        }, [offscreen]);
 
-        const writeIdx = 1 - this.velIdx;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO[writeIdx].fbo);
+        this._initEventListeners();
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.pressureFBO[this.pressIdx].texture);
-        gl.uniform1i(prog.uniforms.u_pressure, 0);
+    // ========== MESSAGING ==========
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
-        gl.uniform1i(prog.uniforms.u_velocity, 1);
+    _post(message, transfer) {
+        if (!this.destroyed) this.worker.postMessage(message, transfer || []);
+    }
 
-        gl.uniform1f(prog.uniforms.u_halfRdx, 0.5 / this.settings.cellSize);
-        gl.uniform2f(prog.uniforms.u_invRes, 1 / this.simWidth, 1 / this.simHeight);
+    // Fire-and-forget engine call
+    _call(method, ...args) {
+        this._post({ type: 'call', method, args });
+    }
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    // Engine call whose result (or error) comes back as a Promise
+    _request(method, ...args) {
+        if (this.destroyed) return Promise.reject(new Error('Engine destroyed'));
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this._post({ type: 'call', id, method, args });
+        });
+    }
 
-        this.velIdx = writeIdx;
+    _onMessage(msg) {
+        switch (msg.type) {
+            case 'ready':
+                this.isWebGL2 = msg.isWebGL2;
+                this.fieldFormat = msg.fieldFormat;
+                this.started = true;
+                this.settleReady.resolve(this);
+                break;
+            case 'state':
+                this.settings = msg.state.settings;
+                this.particleCount = msg.state.particleCount;
+                this.running = msg.state.running;
+                this.contextLost = msg.state.contextLost;
+                break;
+            case 'event':
+                if (msg.event === 'fps') {
+                    this.currentFps = msg.detail.fps;
+                    this.particleCount = msg.detail.particleCount;
+                } else if (msg.event === 'qualitychange') {
+                    this.particleCount = msg.detail.particleCount;
+                } else if (msg.event === 'contextlost' || msg.event === 'contextrestored') {
+                    this.contextLost = msg.event === 'contextlost';
+                }
+                this._emit(msg.event, msg.detail);
+                break;
+            case 'result': {
+                const request = this.requests.get(msg.id);
+                if (!request) break;
+                this.requests.delete(msg.id);
+                if ('error' in msg) request.reject(new Error(msg.error));
+                else request.resolve(msg.value);
+                break;
+            }
+            case 'inputend':
+                this.replaying = false;
+                if (this.replayEnd) this.replayEnd();
+                break;
+            case 'error':
+                this._onWorkerError(msg.message);
+                break;
+        }
     }
 
-    _updateDye(dt) {
-        const gl = this.gl;
-        const prog = this.programs.dye;
-        gl.useProgram(prog);
+    _onWorkerError(message) {
+        console.error('🌊 DAEMON Fluid Engine worker:', message);
+        if (!this.started) this.settleReady.reject(new Error(message));
+        this._emit('error', { message });
+    }
 
-        const writeIdx = 1 - this.dyeIdx;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.dyeFBO[writeIdx].fbo);
+    // ========== EVENTS ==========
+    // Shared DOM listeners (see _initEventListeners) land here and are forwarded
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.dyeFBO[this.dyeIdx].texture);
-        gl.uniform1i(prog.uniforms.u_dye, 0);
+    _pointerDown(id, x, y) {
+        const p = super._pointerDown(id, x, y);
+        if (p) this._post({ type: 'pointer', action: 'down', id, x, y });
+        return p;
+    }
 
-        gl.uniform1f(prog.uniforms.u_dt, dt);
-        gl.uniform2f(prog.uniforms.u_pointer, this.pointer.x, this.pointer.y);
-        gl.uniform2f(prog.uniforms.u_lastPointer, this.lastPointer.x, this.lastPointer.y);
-        gl.uniform1i(prog.uniforms.u_isDown, this.pointer.isDown ? 1 : 0);
-        gl.uniform1f(prog.uniforms.u_radius, this.settings.forceRadius);
-        gl.uniform1f(prog.uniforms.u_aspectRatio, this.aspectRatio);
-        gl.uniform1f(prog.uniforms.u_intensity, this.settings.dyeIntensity);
-        gl.uniform1i(prog.uniforms.u_colorMode, this.settings.colorMode);
-        gl.uniform1f(prog.uniforms.u_decay, this.settings.dyeDecay);
+    _pointerMove(id, x, y, hover = false) {
+        super._pointerMove(id, x, y, hover);
+        this._post({ type: 'pointer', action: 'move', id, x, y, flag: hover });
+    }
 
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    _pointerUp(id, keep) {
+        super._pointerUp(id, keep);
+        this._post({ type: 'pointer', action: 'up', id, flag: keep });
+    }
 
-        this.dyeIdx = writeIdx;
+    _resize() {
+        this._post({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
     }
 
-    _updateParticles(dt) {
-        const gl = this.gl;
-        const prog = this.programs.particleUpdate;
-        gl.useProgram(prog);
-        gl.viewport(0, 0, this.particleDataSize, this.particleDataSize);
+    _onVisibilityChange() {
+        this._post({ type: 'visibility', hidden: document.hidden });
+    }
 
-        const writeIdx = 1 - this.particleReadIdx;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.particleData[writeIdx].fbo);
+    // The placeholder canvas never loses a context; the worker reports its own
+    _onContextLost() {}
+    _onContextRestored() {}
+
+    // Image elements become ImageBitmaps; URLs are resolved against the page, not the worker
+    async _toWorkerImage(source) {
+        if (!source) return null;
+        if (typeof source === 'string') return new URL(source, location.href).href;
+        if (source instanceof ImageBitmap) return source;
+        if (source instanceof HTMLImageElement && !source.complete) await source.decode();
+        return createImageBitmap(source);
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.particleData[this.particleReadIdx].texture);
-        gl.uniform1i(prog.uniforms.u_particleData, 0);
+    // DOM elements and selectors become normalized rects, SVG a full-canvas bitmap
+    async _toWorkerObstacles(sources, padding) {
+        const bounds = this.canvas.getBoundingClientRect();
+        const toRect = r => ({
+            x: (r.left - padding - bounds.left) / bounds.width,
+            y: (r.top - padding - bounds.top) / bounds.height,
+            width: (r.width + padding * 2) / bounds.width,
+            height: (r.height + padding * 2) / bounds.height,
+        });
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityFBO[this.velIdx].texture);
-        gl.uniform1i(prog.uniforms.u_velocity, 1);
+        const out = [];
+        for (const source of this._expandObstacleSources(sources)) {
+            if (this._isImageSource(source)) {
+                out.push(await createImageBitmap(source));
+            } else if (source instanceof SVGElement) {
+                const svg = source.ownerSVGElement || source;
+                const img = await this._loadSvgImage(svg);
+                if (!img) continue;
+                const canvas = this._createCanvas(Math.round(bounds.width), Math.round(bounds.height));
+                const r = toRect(svg.getBoundingClientRect());
+                canvas.getContext('2d').drawImage(img, r.x * canvas.width, r.y * canvas.height,
+                    r.width * canvas.width, r.height * canvas.height);
+                out.push(await createImageBitmap(canvas));
+            } else if (source instanceof Element) {
+                out.push(toRect(source.getBoundingClientRect()));
+            } else {
+                out.push(source);
+            }
+        }
+        return out;
+    }
 
-        gl.uniform1f(prog.uniforms.u_dt, dt);
-        gl.uniform2f(prog.uniforms.u_flowScale,
-            1 / (this.settings.cellSize * this.aspectRatio),
-            1 / this.settings.cellSize
-        );
-        gl.uniform1f(prog.uniforms.u_drag, 1.0);
-        gl.uniform1f(prog.uniforms.u_speed, this.settings.particleSpeed);
+    // ========== PUBLIC API ==========
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    getFPS() { return this.currentFps; }
+    getParticleCount() { return this.particleCount; }
+    getColorModeNames() { return this.colorModeNames; }
+    isRunning() { return this.running; }
+    isContextLost() { return this.contextLost; }
+    isReplaying() { return this.replaying; }
+
+    // Function palettes can't be posted, so they are sampled into stops first
+    registerPalette(name, stops) {
+        if (typeof stops === 'function') {
+            const sample = stops;
+            stops = Array.from({ length: 33 }, (_, i) => ({ pos: i / 32, color: sample(i / 32) }));
+        }
+        const idx = this._addPalette(name, this._paletteSampler(stops));
+        this._call('registerPalette', name, stops);
+        return idx;
+    }
 
-        this.particleReadIdx = writeIdx;
+    updateSettings(s) {
+        if (this.destroyed) return;
+        const next = {};
+        for (const [key, value] of Object.entries(s)) next[key] = this._validateSetting(key, value);
+        if ('colorMode' in next) next.colorMode = this._resolveColorMode(next.colorMode);
+        Object.assign(this.settings, next);
+        this._call('updateSettings', next);
     }
 
-    // ========== RENDER ==========
+    // Adds an event handler; stage hooks run synchronously inside the worker's frame
+    on(type, handler) {
+        if (type.startsWith('before:') || type.startsWith('after:')) {
+            throw new Error(`Stage hook "${type}" is not available in worker mode`);
+        }
+        if (!this.eventHandlers.has(type)) {
+            this.eventHandlers.set(type, new Set());
+            if (type !== 'fps' && type !== 'error') this._post({ type: 'subscribe', event: type });
+        }
+        this.eventHandlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
 
-    _render() {
-        const gl = this.gl;
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.clearColor(0, 0, 0, 1);
-        gl.clear(gl.COLOR_BUFFER_BIT);
+    off(type, handler) {
+        const handlers = this.eventHandlers.get(type);
+        if (!handlers) return;
+        handlers.delete(handler);
+        if (handlers.size > 0) return;
+        this.eventHandlers.delete(type);
+        if (type !== 'fps' && type !== 'error') this._post({ type: 'unsubscribe', event: type });
+    }
 
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.SRC_ALPHA);
-        gl.blendEquation(gl.FUNC_ADD);
+    use() {
+        throw new Error('Plugins need direct engine access and are not available in worker mode');
+    }
 
-        this._renderParticles();
-        this._renderDye();
+    splat(splats) {
+        if (!this.destroyed) this._call('splat', splats);
+        return this;
+    }
 
-        gl.disable(gl.BLEND);
+    // Ids are handed out in the same order as the worker's engine does
+    addForceField(field = {}) {
+        this._call('addForceField', field);
+        return this.nextForceFieldId++;
     }
 
-    _renderParticles() {
-        const gl = this.gl;
-        const prog = this.programs.particleRender;
-        gl.useProgram(prog);
+    updateForceField(id, props) { this._call('updateForceField', id, props); }
+    removeForceField(id) { this._call('removeForceField', id); }
+    clearForceFields() { this._call('clearForceFields'); }
+
+    async setObstacles(sources, options = {}) {
+        if (this.destroyed) return;
+        this.obstacleSources = Array.isArray(sources) ? sources : [sources];
+        this.obstacleOptions = options;
+        const converted = await this._toWorkerObstacles(this.obstacleSources, options.padding ?? 0);
+        const { padding, ...rest } = options;
+        return this._request('setObstacles', converted, rest);
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.particleData[this.particleReadIdx].texture);
-        gl.uniform1i(prog.uniforms.u_particleData, 0);
+    // DOM rects are measured on this thread, so a refresh converts them again
+    refreshObstacles() {
+        if (!this.obstacleSources) return Promise.resolve();
+        return this.setObstacles(this.obstacleSources, this.obstacleOptions);
+    }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleUVBuffer);
-        const uvLoc = prog.attributes.a_particleUV;
-        gl.enableVertexAttribArray(uvLoc);
-        gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.POINTS, 0, this.particleCount);
+    clearObstacles() {
+        this.obstacleSources = null;
+        this._call('clearObstacles');
     }
 
-    _renderDye() {
-        const gl = this.gl;
-        const prog = this.programs.display;
-        gl.useProgram(prog);
+    async setBackgroundImage(source, options = {}) {
+        return this._request('setBackgroundImage', await this._toWorkerImage(source), options);
+    }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.dyeFBO[this.dyeIdx].texture);
-        gl.uniform1i(prog.uniforms.u_texture, 0);
+    async loadDyeFromImage(source, options = {}) {
+        return this._request('loadDyeFromImage', await this._toWorkerImage(source), options);
+    }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        const posLoc = prog.attributes.a_position;
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    // Resolves once compiled; a uniforms callback can't cross to the worker
+    addPostPass(name, effect, options = {}) {
+        if (options.uniforms) return Promise.reject(new Error('Post pass uniforms callbacks are not available in worker mode'));
+        return this._request('addPostPass', name, effect, options);
     }
 
-    // ========== ANIMATION ==========
+    removePostPass(name) { this._call('removePostPass', name); }
+    setPostPassEnabled(name, enabled) { this._call('setPostPassEnabled', name, enabled); }
 
-    _animate() {
-        const now = performance.now();
-        const dt = Math.min((now - this.lastFrameTime) / 1000, 0.02);
-        this.lastFrameTime = now;
+    captureFrame(options = {}) {
+        return this._request('captureFrame', options);
+    }
 
-        this.frameCount++;
-        if (now - this.lastFpsTime >= 500) {
-            this.currentFps = Math.round(this.frameCount * 1000 / (now - this.lastFpsTime));
-            this.frameCount = 0;
-            this.lastFpsTime = now;
+    renderSequence() {
+        return Promise.reject(new Error('renderSequence is not available in worker mode'));
+    }
 
-            // Auto quality adjustment (less aggressive)
-            if (this.autoQualityEnabled && this.currentFps < 20 && this.settings.quality > 0) {
-                this.lowFpsCount++;
-                if (this.lowFpsCount >= 5) {
-                    this.setQuality(this.settings.quality - 1);
-                    this.lowFpsCount = 0;
-                    console.log(`⚠️ Auto-lowering quality to ${this.settings.quality}`);
-                }
-            } else {
-                this.lowFpsCount = 0;
-            }
+    startInputRecording() { this._call('startInputRecording'); }
+    stopInputRecording() { return this._request('stopInputRecording'); }
+
+    playInput(recording, { loop = false, speed = 1, onEnd = null } = {}) {
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        if (!data || data.version !== 1 || !Array.isArray(data.events)) {
+            throw new Error('Unsupported input recording');
         }
+        this.replaying = true;
+        this.replayEnd = onEnd;
+        this._post({ type: 'playInput', recording: data, loop, speed });
+    }
 
-        this._step(dt);
-        this._render();
+    stopInput() {
+        this.replaying = false;
+        this._call('stopInput');
+    }
+
+    step(dt = 1 / 60) { this._call('step', dt); }
+    render() { this._call('render'); }
 
-        requestAnimationFrame(() => this._animate());
+    setSeed(seed) {
+        this.seed = seed;
+        this._reseed();
+        this._call('setSeed', seed);
     }
 
-    // ========== PUBLIC API ==========
+    reset() {
+        this._reseed();
+        this._call('reset');
+    }
 
-    getFPS() { return this.currentFps; }
-    getParticleCount() { return this.particleCount; }
-    getColorModeNames() { return this.colorModeNames; }
+    pause() {
+        this.running = false;
+        this._call('pause');
+    }
 
-    setQuality(q) {
-        this.settings.quality = Math.max(0, Math.min(4, q));
-        this._initFramebuffers();
+    resume() {
+        this._call('resume');
     }
 
-    updateSettings(s) { Object.assign(this.settings, s); }
+    setViewport(width, height) {
+        this._call('setViewport', width, height);
+    }
 
-    reset() {
-        const gl = this.gl;
-        gl.clearColor(0, 0, 0, 1);
-        [this.velocityFBO, this.pressureFBO, this.dyeFBO].forEach(arr => {
-            arr.forEach(t => {
-                gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
-                gl.clear(gl.COLOR_BUFFER_BIT);
-            });
+    destroy() {
+        if (this.destroyed) return;
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.recorder = null;
+        this._post({ type: 'destroy' });
+        // A worker without an engine ignores 'destroy'
+        if (!this.started) this.worker.terminate();
+        this.destroyed = true;
+
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
         });
-        this._initParticles();
+        this.listeners = [];
+        this.eventHandlers.clear();
+        this.requests.forEach(({ reject }) => reject(new Error('Engine destroyed')));
+        this.requests.clear();
     }
 }
 
-window.DaemonFluidEngine = DaemonFluidEngine;
+// Classic script, loaded by pages and by the render worker (fluid-worker.js)
+self.DaemonFluidBase = DaemonFluidBase;
+self.DaemonFluidEngine = DaemonFluidEngine;
+self.DaemonFluidCanvasFallback = DaemonFluidCanvasFallback;
+self.DaemonFluidWorkerProxy = DaemonFluidWorkerProxy;
@@ -0,0 +1,108 @@
+/**
+ * 🌊 DAEMON Fluid Engine render worker
+ *
+ * Runs DaemonFluidEngine on an OffscreenCanvas off the main thread. Started by
+ * DaemonFluidWorkerProxy (DaemonFluidEngine.create(id, { worker: true })), which forwards
+ * pointer input, resizes, visibility and API calls as messages.
+ *
+ * Page -> worker: init, call, pointer, resize, visibility, subscribe, unsubscribe,
+ *                 playInput, destroy
+ * Worker -> page: ready, state, event, result, inputend, error
+ */
+
+importScripts('fluid-engine.js');
+
+// Workers without requestAnimationFrame tick on a timer
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = cb => setTimeout(() => cb(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = id => clearTimeout(id);
+}
+
+let engine = null;
+const subscriptions = new Map();
+
+function forward(event) {
+    return detail => self.postMessage({ type: 'event', event, detail });
+}
+
+// Snapshot the proxy mirrors for its synchronous getters
+function postState() {
+    self.postMessage({
+        type: 'state',
+        state: {
+            settings: engine.getSettings(),
+            particleCount: engine.getParticleCount(),
+            running: engine.isRunning(),
+            contextLost: engine.isContextLost(),
+        },
+    });
+}
+
+const handlers = {
+    init({ canvas, options, hidden }) {
+        try {
+            engine = new DaemonFluidEngine(canvas, options);
+        } catch (e) {
+            self.postMessage({ type: 'error', message: e.message });
+            return;
+        }
+        if (hidden) engine._onVisibilityChange(true);
+
+        engine.on('fps', forward('fps'));
+        self.postMessage({ type: 'ready', isWebGL2: engine.isWebGL2, fieldFormat: engine.fieldFormat.name });
+        postState();
+    },
+
+    async call({ id, method, args }) {
+        try {
+            let value = await engine[method](...args);
+            // Post passes hold GL programs; the page only needs to know it compiled
+            if (method === 'addPostPass') value = undefined;
+            if (id != null) self.postMessage({ type: 'result', id, value });
+        } catch (e) {
+            if (id != null) self.postMessage({ type: 'result', id, error: e.message });
+            else console.error(`Fluid worker: ${method} failed:`, e);
+        }
+        if (!engine.destroyed) postState();
+    },
+
+    pointer({ action, id, x, y, flag }) {
+        if (action === 'down') engine._pointerDown(id, x, y);
+        else if (action === 'move') engine._pointerMove(id, x, y, flag);
+        else engine._pointerUp(id, flag);
+    },
+
+    resize({ width, height }) {
+        engine.setViewport(width, height);
+    },
+
+    visibility({ hidden }) {
+        engine._onVisibilityChange(hidden);
+    },
+
+    subscribe({ event }) {
+        if (!subscriptions.has(event)) subscriptions.set(event, engine.on(event, forward(event)));
+    },
+
+    unsubscribe({ event }) {
+        const unsubscribe = subscriptions.get(event);
+        if (unsubscribe) unsubscribe();
+        subscriptions.delete(event);
+    },
+
+    playInput({ recording, loop, speed }) {
+        engine.playInput(recording, { loop, speed, onEnd: () => self.postMessage({ type: 'inputend' }) });
+    },
+
+    destroy() {
+        engine.destroy();
+        self.close();
+    },
+};
+
+self.onmessage = e => {
+    const msg = e.data;
+    // Nothing to drive if the engine failed to start
+    if (msg.type !== 'init' && !engine) return;
+    handlers[msg.type](msg);
+};
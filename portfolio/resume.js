@@ -0,0 +1,251 @@
+/**
+ * 📄 SIGIL resume data
+ *
+ * Every portfolio/resume-*.html renders from one JSON Resume document
+ * (https://jsonresume.org/schema) plus the SIGIL extensions listed in README.md.
+ * Templates mount it with x-data="resumeTemplate()" and bind to `resume`.
+ *
+ * The document is data/resume.json unless the page URL names another one:
+ *   resume-01-zen.html?resume=../data/jane.json
+ * A file loaded in viewer.html replaces it for the rest of the session.
+ *
+ * The document lives in Alpine.store('resume'), so the viewer can swap templates
+ * without fetching it again.
+ *
+ * Download PDF goes through the browser print dialog (printResume); print layout
+ * lives in resume-print.css and each template's @media print block.
+ */
+
+const RESUME_SOURCE = '../data/resume.json';
+const RESUME_SESSION_KEY = 'sigil:resume';
+const RESUME_PAPER_KEY = 'sigil:paper';
+const RESUME_PAPER_SIZES = { a4: 'A4', letter: 'letter' };
+const RESUME_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Fill in every list and object the templates bind to, so a sparse document still renders
+function normalizeResume(data = {}) {
+    const basics = { name: '', label: '', image: '', email: '', phone: '', url: '', summary: '', ...data.basics };
+    basics.location = { ...basics.location };
+    basics.profiles = basics.profiles || [];
+
+    const list = key => (data[key] || []).map(item => ({ highlights: [], keywords: [], ...item }));
+    const sigil = { quote: {}, pitch: {}, metrics: [], clients: [], ...data.sigil };
+
+    return {
+        ...data,
+        basics,
+        work: list('work'),
+        volunteer: list('volunteer'),
+        education: (data.education || []).map(item => ({ courses: [], ...item })),
+        awards: data.awards || [],
+        certificates: data.certificates || [],
+        skills: list('skills'),
+        languages: data.languages || [],
+        projects: list('projects'),
+        interests: list('interests'),
+        sigil,
+    };
+}
+
+document.addEventListener('alpine:init', () => {
+    Alpine.store('resume', { data: normalizeResume(), ready: false, error: null, custom: false, paper: defaultPaper() });
+    Alpine.effect(() => writeStorage('localStorage', RESUME_PAPER_KEY, Alpine.store('resume').paper));
+});
+
+// Storage throws when blocked (sandboxed iframes, third-party storage off), and so does merely
+// reading window.localStorage there, so areas are looked up by name inside the try. The page
+// still works, it just doesn't remember
+function readStorage(area, key) {
+    try {
+        return window[area].getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+function writeStorage(area, key, value) {
+    try {
+        if (value == null) window[area].removeItem(key);
+        else window[area].setItem(key, value);
+    } catch {
+        // Blocked or full: kept for this page only
+    }
+}
+
+// Last paper picked, else Letter in the regions that use it and A4 everywhere else
+function defaultPaper() {
+    const saved = readStorage('localStorage', RESUME_PAPER_KEY);
+    if (Object.hasOwn(RESUME_PAPER_SIZES, saved)) return saved;
+    return /-(US|CA|MX|PH)$/i.test(navigator.language) ? 'letter' : 'a4';
+}
+
+// Open the print dialog on `paper` ('a4' or 'letter'); "Save as PDF" there is the PDF export
+function printResume(paper = 'a4') {
+    if (!Object.hasOwn(RESUME_PAPER_SIZES, paper)) throw new Error(`Unknown paper size: ${paper}`);
+    const size = RESUME_PAPER_SIZES[paper];
+    let style = document.getElementById('resume-page-size');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'resume-page-size';
+        document.head.append(style);
+    }
+    style.textContent = `@page { size: ${size}; }`;
+    window.print();
+}
+
+function readSessionResume() {
+    try {
+        return JSON.parse(readStorage('sessionStorage', RESUME_SESSION_KEY));
+    } catch {
+        return null;
+    }
+}
+
+let resumeLoading = null;
+let resumePageTitle = null;
+
+// Fetch once per page; templates mounted later reuse the store.
+// An explicit ?resume= wins over a file loaded earlier in the session.
+function loadResume() {
+    if (resumeLoading) return resumeLoading;
+    const source = new URLSearchParams(location.search).get('resume');
+    const saved = !source && readSessionResume();
+
+    resumeLoading = (async () => {
+        const store = Alpine.store('resume');
+        try {
+            if (saved) {
+                useResume(saved);
+                store.custom = true;
+            } else {
+                const url = source || RESUME_SOURCE;
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+                useResume(await response.json());
+            }
+        } catch (e) {
+            store.error = `Could not load resume data: ${e.message}`;
+            console.error(store.error);
+        }
+        store.ready = true;
+    })();
+    return resumeLoading;
+}
+
+// Show `data` in every mounted template; `persist` keeps it for the session
+function useResume(data, persist = false) {
+    const store = Alpine.store('resume');
+    store.data = normalizeResume(data);
+    store.error = null;
+    store.ready = true;
+    resumePageTitle ??= document.title;
+    document.title = store.data.basics.name ? `${store.data.basics.name} | ${resumePageTitle}` : resumePageTitle;
+    if (persist) {
+        // Best effort: the document is already showing, so failing to keep it must not undo that
+        store.custom = true;
+        writeStorage('sessionStorage', RESUME_SESSION_KEY, JSON.stringify(data));
+    }
+}
+
+// Drop a session file and go back to the page's own document
+function clearResume() {
+    writeStorage('sessionStorage', RESUME_SESSION_KEY, null);
+    Alpine.store('resume').custom = false;
+    resumeLoading = null;
+    return loadResume();
+}
+
+function resumeTemplate() {
+    return {
+        get resume() { return Alpine.store('resume').data; },
+        get ready() { return Alpine.store('resume').ready; },
+        get error() { return Alpine.store('resume').error; },
+        init() {
+            loadResume();
+        },
+        downloadPdf() {
+            printResume(Alpine.store('resume').paper);
+        },
+        // This page in the live template viewer, keeping any ?resume= source
+        get viewerUrl() {
+            const params = new URLSearchParams(location.search);
+            const slug = location.pathname.match(/resume-\d+-([\w-]+)\.html$/)?.[1];
+            if (slug) params.set('template', slug);
+            return `viewer.html?${params}`;
+        },
+
+        // "2023-01" -> 2023.01 / 2023 / '23 / 2023년 1월 / Jan 2023
+        formatDate(date, style = 'month') {
+            if (!date) return '';
+            const [year, month] = String(date).split('-');
+            if (style === 'year') return year;
+            if (style === 'yy') return `'${year.slice(2)}`;
+            if (!month) return year;
+            if (style === 'ko') return `${year}년 ${Number(month)}월`;
+            if (style === 'short') return `${RESUME_MONTHS[Number(month) - 1]} ${year}`;
+            return `${year}.${month}`;
+        },
+        // An item's start/end range; an open end reads as `present`
+        period(item, style = 'month', separator = ' — ', present = 'Present') {
+            const start = this.formatDate(item.startDate, style);
+            const end = item.endDate ? this.formatDate(item.endDate, style) : present;
+            if (!start) return item.endDate ? end : '';
+            return start === end ? start : `${start}${separator}${end}`;
+        },
+        // LinkedIn-style tenure, counting both end months: "3 yrs 11 mos"
+        duration(item) {
+            if (!item.startDate) return '';
+            const [startYear, startMonth = 1] = item.startDate.split('-').map(Number);
+            const now = new Date();
+            const [endYear, endMonth = 12] = item.endDate
+                ? item.endDate.split('-').map(Number)
+                : [now.getFullYear(), now.getMonth() + 1];
+            const months = (endYear - startYear) * 12 + (endMonth - startMonth) + 1;
+            const years = Math.floor(months / 12), rest = months % 12;
+            return [
+                years ? `${years} yr${years > 1 ? 's' : ''}` : '',
+                rest ? `${rest} mo${rest > 1 ? 's' : ''}` : '',
+            ].filter(Boolean).join(' ');
+        },
+
+        get initials() {
+            if (this.resume.sigil.initials) return this.resume.sigil.initials;
+            return this.abbreviate(this.resume.sigil.nameEn || this.resume.basics.name);
+        },
+        get displayName() {
+            return this.resume.sigil.shortName || this.resume.basics.name;
+        },
+        // "Seoul, South Korea", or "Seoul, KR" when short
+        place(short = false) {
+            const { city, region, countryCode } = this.resume.basics.location;
+            let country = countryCode;
+            if (countryCode && !short && typeof Intl.DisplayNames === 'function') {
+                country = new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode);
+            }
+            return [city || region, country].filter(Boolean).join(', ');
+        },
+        degree(education) {
+            return [education.area, education.studyType].filter(Boolean).join(' ');
+        },
+        // Every skill keyword, for templates that show a flat tool/stack list
+        get tools() {
+            return this.resume.skills.flatMap(skill => skill.keywords);
+        },
+        profile(network) {
+            return this.resume.basics.profiles.find(p => p.network?.toLowerCase() === network.toLowerCase()) || null;
+        },
+        // Logo placeholder: "Global Corp" -> GC, "한국대학교" -> 한
+        abbreviate(name = '') {
+            const words = name.replace(/[^\p{L}\p{N}\s]/gu, '').split(/\s+/).filter(Boolean);
+            return words.slice(0, 2).map(word => word[0]).join('').toUpperCase();
+        },
+        // Relative, http(s), mailto and tel URLs reach an href/src; other schemes are dropped
+        link(url) {
+            if (!url) return null;
+            return !/^[a-z][a-z\d+.-]*:/i.test(url) || /^(https?|mailto|tel):/i.test(url) ? url : null;
+        },
+        bareUrl(url = '') {
+            return url.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+        },
+    };
+}